@@ -0,0 +1,184 @@
+import DBClient from '../utils/db';
+import { HttpError } from '../utils/errors';
+import { globalUsage, userQuota } from '../utils/quotas';
+import {
+  queueNames, getQueue, findJob, jobResponse, queueMetrics,
+} from '../utils/queues';
+
+const { ObjectId } = require('mongodb');
+
+/**
+ * Validates a quota sent by an admin: a non-negative integer, or null to use the default.
+ * @param {*} value - Value received.
+ * @returns {boolean}
+ */
+const validQuota = (value) => value === null || (Number.isInteger(value) && value >= 0);
+
+/**
+ * A file AdminController.js that contains the endpoints of the admins: the users
+ * with isAdmin set to true or with an email listed in ADMIN_EMAILS.
+ */
+class AdminController {
+  /**
+   * GET /admin/usage should return the storage used on the server:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * + If not an admin, return an error Forbidden with a status code 403
+   * - Return the global usage: bytes, files and types (the number of files and the size for
+   * each type), like GET /users/me/usage
+   * - users: the usage of each user with its id, email and quota, sorted by bytes (the biggest
+   * first) - 20 users per page, with the query parameter page starting at 0
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getUsage(req, res) {
+    const page = Number(req.query.page) || 0;
+
+    const usage = await globalUsage();
+    const pageUsers = usage.users.slice(page * 20, (page + 1) * 20);
+    const users = await DBClient.db
+      .collection('users')
+      .find({ _id: { $in: pageUsers.map((item) => ObjectId(item.userId)) } })
+      .toArray();
+
+    return res.status(200).send({
+      ...usage,
+      users: pageUsers.map((item) => {
+        const user = users.find((doc) => doc._id.toString() === item.userId) || {};
+        return {
+          id: item.userId,
+          email: user.email,
+          bytes: item.bytes,
+          files: item.files,
+          types: item.types,
+          quota: userQuota(user),
+        };
+      }),
+    });
+  }
+
+  /**
+   * PUT /admin/users/:id/quota should set the quotas of a user:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * + If not an admin, return an error Forbidden with a status code 403
+   * - If no user is linked to the ID, return an error Not found with a status code 404
+   * - The quotas to set are:
+   * + bytes: (optional) the total size of the contents of the user
+   * + files: (optional) the number of files and images of the user
+   * - Each one is a non-negative integer, or null to use the default (QUOTA_BYTES and
+   * QUOTA_FILES) - otherwise, return an error Invalid quota with a status code 400
+   * - Otherwise, update the quotas of the user and return them with a status code 200
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async putQuota(req, res) {
+    const users = DBClient.db.collection('users');
+
+    const user = await users.findOne({ _id: ObjectId(req.params.id) });
+    if (!user) throw new HttpError(404, 'Not found');
+
+    const update = {};
+    ['bytes', 'files'].forEach((field) => {
+      if (req.body[field] === undefined) return;
+      if (!validQuota(req.body[field])) throw new HttpError(400, 'Invalid quota');
+      update[`quota.${field}`] = req.body[field];
+    });
+
+    if (Object.keys(update).length) {
+      await users.updateOne({ _id: user._id }, { $set: update });
+    }
+    const updated = await users.findOne({ _id: user._id });
+
+    return res.status(200).send({ id: updated._id, quota: userQuota(updated) });
+  }
+
+  /**
+   * GET /admin/queues should return the metrics of the queues of the worker:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * + If not an admin, return an error Forbidden with a status code 403
+   * - Return, for each queue, its name, the number of jobs in each state (counts), its depth
+   * (the jobs waiting and delayed) and its throughput (the jobs completed and failed during
+   * the last minute and the last hour) with a status code 200
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getQueues(req, res) {
+    const queues = await Promise.all(queueNames.map(queueMetrics));
+    return res.status(200).send(queues);
+  }
+
+  /**
+   * GET /admin/jobs/failed should return the failed jobs of a queue:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * + If not an admin, return an error Forbidden with a status code 403
+   * - queue: (optional) the name of the queue, default: fileQueue - if it is not a queue of
+   * the worker, return an error Invalid queue with a status code 400
+   * - Return the failed jobs (see jobResponse), the most recent first - 20 jobs per page,
+   * with the query parameter page starting at 0 - and their total count with a status code 200
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getFailedJobs(req, res) {
+    const name = req.query.queue || 'fileQueue';
+    if (!queueNames.includes(name)) throw new HttpError(400, 'Invalid queue');
+    const page = Number(req.query.page) || 0;
+
+    const queue = getQueue(name);
+    const jobs = await queue.getFailed(page * 20, (page + 1) * 20 - 1);
+    const total = await queue.getFailedCount();
+
+    return res.status(200).send({
+      total,
+      jobs: await Promise.all(jobs.filter((job) => job).map(jobResponse)),
+    });
+  }
+
+  /**
+   * POST /admin/jobs/:id/retry should retry a failed job:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * + If not an admin, return an error Forbidden with a status code 403
+   * - queue: (optional) the name of the queue of the job, default: fileQueue - if it is not
+   * a queue of the worker, return an error Invalid queue with a status code 400
+   * - If no job is linked to the ID, return an error Not found with a status code 404
+   * - If the job is not failed, return an error Job not failed with a status code 400
+   * - Otherwise, move the job back to the waiting jobs and return it with a status code 200
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async postRetryJob(req, res) {
+    const job = await findJob(req.query.queue || 'fileQueue', req.params.id);
+    if (await job.getState() !== 'failed') throw new HttpError(400, 'Job not failed');
+
+    await job.retry();
+
+    return res.status(200).send(await jobResponse(job));
+  }
+
+  /**
+   * DELETE /admin/jobs/:id should remove a job:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * + If not an admin, return an error Forbidden with a status code 403
+   * - queue: (optional) the name of the queue of the job, default: fileQueue - if it is not
+   * a queue of the worker, return an error Invalid queue with a status code 400
+   * - If no job is linked to the ID, return an error Not found with a status code 404
+   * - If the job is being processed, return an error Job is active with a status code 400
+   * - Otherwise, remove the job from the queue and return nothing with a status code 204
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async deleteJob(req, res) {
+    const job = await findJob(req.query.queue || 'fileQueue', req.params.id);
+    if (await job.getState() === 'active') throw new HttpError(400, 'Job is active');
+
+    await job.remove();
+
+    return res.status(204).send();
+  }
+}
+
+module.exports = AdminController;
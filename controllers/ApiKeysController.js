@@ -0,0 +1,137 @@
+import DBClient from '../utils/db';
+import { HttpError } from '../utils/errors';
+import { fileAccess } from '../utils/shares';
+import { apiKeyScopes, generateApiKey, hashApiKey } from '../utils/apiKeys';
+
+const { ObjectId } = require('mongodb');
+
+/**
+ * The public representation of an API key (the key itself is only returned at creation).
+ * @param {Object} apiKey - API key document from DB.
+ * @returns {Object}
+ */
+const apiKeyResponse = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  folderId: apiKey.folderId,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+});
+
+/**
+ * A file ApiKeysController.js that contains the endpoints of the API keys:
+ * a key is sent in the header X-Token like a token, never expires and only
+ * allows its scopes. These endpoints need a token or a key with the scope admin.
+ */
+class ApiKeysController {
+  /**
+   * POST /keys should create an API key for the user:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - To create a key, you must specify:
+   * + name: to recognize the key
+   * + scopes: list of scopes among read, write, publish and admin
+   * + folderId: (optional) ID of a folder of the user: the key only reaches this folder and
+   * its descendants
+   * - If the name is missing, return an error Missing name with a status code 400
+   * - If the scopes are missing or not part of the accepted scopes, return an error Missing
+   * scopes with a status code 400
+   * - If the folder is not a folder owned by the user, return an error Folder not found with a
+   * status code 400
+   * - With an API key, the new key can't reach more than the key used:
+   * + If a scope is not one of the scopes of the key used, return an error Forbidden with a
+   * status code 403
+   * + Without folderId, the new key has the folder restriction of the key used - a folderId
+   * outside of it returns the error Folder not found
+   * - Otherwise:
+   * + Generate a random key (fm_ followed by 64 hexadecimal characters)
+   * + Add the key in the collection apiKeys, with only its SHA-256
+   * + Return the key (the only time it is returned) with a status code 201
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async postKey(req, res) {
+    const { user } = req;
+
+    const { name, scopes, folderId } = req.body;
+    if (!name) throw new HttpError(400, 'Missing name');
+    const validScopes = Array.isArray(scopes) && scopes.length > 0
+      && scopes.every((scope) => apiKeyScopes.includes(scope));
+    if (!validScopes) throw new HttpError(400, 'Missing scopes');
+    if (user.apiKey && !scopes.every((scope) => user.apiKey.scopes.includes(scope))) {
+      throw new HttpError(403, 'Forbidden');
+    }
+
+    let folder = null;
+    if (folderId) {
+      if (ObjectId.isValid(folderId)) {
+        folder = await DBClient.db
+          .collection('files')
+          .findOne({ _id: ObjectId(folderId), type: 'folder', trashedAt: null });
+      }
+      if (!folder || await fileAccess(user, folder) !== 'owner') throw new HttpError(400, 'Folder not found');
+    }
+
+    const key = generateApiKey();
+    const apiKey = {
+      userId: user._id,
+      name,
+      prefix: key.slice(0, 10),
+      hash: hashApiKey(key),
+      scopes: [...new Set(scopes)],
+      folderId: folder ? folder._id : (user.apiKey && user.apiKey.folderId) || null,
+      createdAt: new Date(),
+      lastUsedAt: null,
+      lastUsedIp: null,
+    };
+    await DBClient.db.collection('apiKeys').insertOne(apiKey);
+
+    return res.status(201).send({ ...apiKeyResponse(apiKey), key });
+  }
+
+  /**
+   * GET /keys should return the API keys of the user:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - Return the list of keys with their prefix and last use (lastUsedAt, lastUsedIp), but
+   * never the keys themselves
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getIndex(req, res) {
+    const { user } = req;
+
+    const apiKeys = await DBClient.db
+      .collection('apiKeys')
+      .find({ userId: user._id })
+      .toArray();
+
+    return res.status(200).send(apiKeys.map(apiKeyResponse));
+  }
+
+  /**
+   * DELETE /keys/:id should revoke an API key of the user:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no key of the user is linked to the ID, return an error Not found with a status
+   * code 404
+   * - Otherwise, remove the key and return nothing with a status code 204
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async deleteKey(req, res) {
+    const { user } = req;
+
+    const { deletedCount } = await DBClient.db
+      .collection('apiKeys')
+      .deleteOne({ _id: ObjectId(req.params.id), userId: user._id });
+    if (!deletedCount) throw new HttpError(404, 'Not found');
+
+    return res.status(204).send();
+  }
+}
+
+module.exports = ApiKeysController;
@@ -1,7 +1,8 @@
-import sha1 from 'sha1';
-import { v4 as uuidv4 } from 'uuid';
 import DBClient from '../utils/db';
 import RedisClient from '../utils/redis';
+import { createAuthToken, revokeAuthToken } from '../utils/auth';
+import { hashPassword, verifyPassword, needsRehash } from '../utils/passwords';
+import { HttpError } from '../utils/errors';
 
 class AuthController {
   /**
@@ -9,40 +10,51 @@ class AuthController {
    * token:
    * - By using the header Authorization and the technique of the Basic auth
    * (Base64 of the <email>:<password>), find the user associate to this
-   * email and with this password (reminder: we are storing the SHA1 of the
-   * password)
+   * email and with this password (reminder: we are storing the scrypt hash of
+   * the password, or its SHA1 for the users created before)
    * - If no user has been found, return an error Unauthorized with a status
    * code 401
    * - Otherwise:
+   * + If the password is still stored as SHA1, replace it by its scrypt hash
    * + Generate a random string (using uuidv4) as token
    * + Create a key: auth_<token>
    * + Use this key for storing in Redis (by using the redisClient
-   * create previously) the user ID for 24 hours00
+   * create previously) the user ID for SESSION_TTL seconds (default: 24 hours), reset
+   * by every authenticated request
+   * + Store the metadata of the session (created time, last use, user agent and IP) and add
+   * the token to the tokens of the user (tokens_<user ID>), to list and revoke the sessions
    * + Return this token: { "token": "155342df-2399-41da-9e8c-458b6ac52a0c" }
    * with a status code 200
    */
   static async getConnect(req, res) {
     const authorization = req.header('Authorization') || null;
-    if (!authorization) return res.status(401).send({ error: 'Unauthorized' });
+    if (!authorization) throw new HttpError(401, 'Unauthorized');
 
     const buff = Buffer.from(authorization.replace('Basic ', ''), 'base64');
     const credentials = {
       email: buff.toString('utf-8').split(':')[0],
-      password: buff.toString('utf-8').split(':')[1],
+      password: buff.toString('utf-8').split(':').slice(1).join(':'),
     };
 
-    if (!credentials.email || !credentials.password) return res.status(401).send({ error: 'Unauthorized' });
-
-    credentials.password = sha1(credentials.password);
+    if (!credentials.email || !credentials.password) throw new HttpError(401, 'Unauthorized');
 
     const userExists = await DBClient.db
       .collection('users')
-      .findOne(credentials);
-    if (!userExists) return res.status(401).send({ error: 'Unauthorized' });
+      .findOne({ email: credentials.email });
+    if (!userExists || !await verifyPassword(credentials.password, userExists.password)) {
+      throw new HttpError(401, 'Unauthorized');
+    }
+
+    if (needsRehash(userExists.password)) {
+      await DBClient.db
+        .collection('users')
+        .updateOne(
+          { _id: userExists._id, password: userExists.password },
+          { $set: { password: await hashPassword(credentials.password) } },
+        );
+    }
 
-    const token = uuidv4();
-    const key = `auth_${token}`;
-    await RedisClient.set(key, userExists._id.toString(), 86400);
+    const token = await createAuthToken(userExists, req);
 
     return res.status(200).send({ token });
   }
@@ -56,12 +68,12 @@ class AuthController {
    */
   static async getDisconnect(req, res) {
     const token = req.header('X-Token') || null;
-    if (!token) return res.status(401).send({ error: 'Unauthorized' });
+    if (!token) throw new HttpError(401, 'Unauthorized');
 
     const redisToken = await RedisClient.get(`auth_${token}`);
-    if (!redisToken) return res.status(401).send({ error: 'Unauthorized' });
+    if (!redisToken) throw new HttpError(401, 'Unauthorized');
 
-    await RedisClient.del(`auth_${token}`);
+    await revokeAuthToken(token, redisToken);
     return res.status(204).send();
   }
 }
@@ -1,14 +1,36 @@
-import { v4 as uuidv4 } from 'uuid';
-import RedisClient from '../utils/redis';
 import DBClient from '../utils/db';
+import { HttpError } from '../utils/errors';
+import { parseMultipart, maxUploadSize } from '../utils/multipart';
+import {
+  storingFolder, insertFile, insertFileWithinQuota, fileResponse, findAncestors, findDescendants,
+  copyTreeWithinQuota, fileTree,
+} from '../utils/files';
+import { trashFile } from '../utils/trash';
+import { fileAccess, hasRole, checkParentAccess } from '../utils/shares';
+import { keyAllows } from '../utils/apiKeys';
+import {
+  storeBlob, retainBlob, hashBuffer, blobFields,
+} from '../utils/blobs';
+import { sendFile } from '../utils/http';
+import { zipEntries, sendZip } from '../utils/zip';
+import { checkQuota, remainingBytes } from '../utils/quotas';
+import { sniffMime, readHeader } from '../utils/mime';
+import { findVersions, findVersion, addVersion } from '../utils/versions';
+import { parseTransform } from '../utils/transforms';
+import {
+  searchFilter, parseSort, parseLimit, encodeCursor, cursorFilter,
+} from '../utils/search';
 
 const { ObjectId } = require('mongodb');
 const fs = require('fs');
-const mime = require('mime-types');
-const Bull = require('bull');
 
 /**
  * A file FilesController.js that contains the new endpoint:
+ * The files in the trash (trashedAt set) are not found by these endpoints, only by the
+ * ones of TrashController.
+ * The header X-Token can contain an API key instead of a token: it must have the scope of
+ * the endpoint (read, write or publish), and a key restricted to a folder only finds the
+ * files of this folder.
  */
 class FilesController {
   /**
@@ -21,6 +43,14 @@ class FilesController {
    * + parentId: (optional) as ID of the parent (default: 0 -> the root)
    * + isPublic: (optional) as boolean to define if the file is public or not (default: false)
    * + data: (only for type=file|image) as Base64 of the file content
+   * - The request body can be either JSON or multipart/form-data:
+   * + With multipart/form-data, name, type, parentId and isPublic are sent as fields and
+   * the file content as a file part instead of data
+   * + The file part is streamed straight to the storing folder, never buffered in memory
+   * + If the file part is bigger than MAX_UPLOAD_SIZE bytes (default: 1 GiB), the upload is
+   * aborted while streaming and an error File too large is returned with a status code 413
+   * + If the fields are not valid, the streamed file is removed and the same errors as for
+   * JSON are returned
    * - If the name is missing, return an error Missing name with a status code 400
    * - If the type is missing or not part of the list of accepted type, return an error Missing
    * type with a status code 400
@@ -31,6 +61,8 @@ class FilesController {
    * a status code 400
    * + If the file present in DB for this parentId is not of type folder, return an error Parent is
    * not a folder with a status code 400
+   * + If the user is neither the owner nor an editor of this folder (shared with the role
+   * editor), return an error Parent not found with a status code 400
    * - The user ID should be added to the document saved in DB - as owner of a file
    * - If the type is folder, add the new file document in the DB and return the new file with a
    * status code 201
@@ -38,52 +70,83 @@ class FilesController {
    * + All file will be stored locally in a folder (to create automatically if not present):
    * * The relative path of this folder is given by the environment variable FOLDER_PATH
    * * If this variable is not present or empty, use /tmp/files_manager as storing folder path
-   * + Create a local path in the storing folder with filename a UUID
-   * + Store the file in clear (reminder: data contains the Base64 of the file) in this local path
+   * + The content is stored in clear (reminder: data contains the Base64 of the file) as a blob
+   * named by its SHA-256 hash by the storage driver (STORAGE_DRIVER: local in the storing
+   * folder by default, or s3): identical contents share the same blob
+   * and a blob is removed only when no file references it anymore
+   * + Instead of data, hash can be sent with the SHA-256 of a content already uploaded by the
+   * user to reuse it without sending it again - if unknown, return an error Unknown hash with
+   * a status code 400
+   * + The content must fit in the quotas of the user (QUOTA_BYTES and QUOTA_FILES, or the
+   * quota set on the user by an admin): checked before storing the content, for
+   * multipart/form-data before receiving it and while streaming, and again once the file is
+   * added (for the concurrent uploads) - otherwise, return an error Storage quota exceeded
+   * or File quota exceeded with a status code 403
    * + Add the new file document in the collection files with these attributes:
    * * userId: ID of the owner document (owner from the authentication)
    * * name: same as the value received
    * * type: same as the value received
    * * isPublic: same as the value received
    * * parentId: same as the value received - if not present: 0
-   * * localPath: for a type=file|image, the absolute path to the file save in local
+   * * localPath: for a type=file|image, the absolute path to the file save in local (only with
+   * the local storage driver)
+   * * hash: for a type=file|image, the SHA-256 of the content
+   * * size: for a type=file|image, the size of the content in bytes
+   * * checksum: for a type=file|image, the SHA-256 of the content (same as hash)
+   * * mimeType: for a type=file|image, the MIME type detected from the first bytes of the
+   * content (magic bytes) - the extension of the name is only used for the text formats
+   * * createdAt and updatedAt: the date of the upload
    * + Return the new file with a status code 201
    * @param {Request} req - Express request object.
    * @param {Response} res - Express response object.
    */
   static async postUpload(req, res) {
-    const fileQueue = new Bull('fileQueue');
-
-    const token = req.header('X-Token') || null;
-    if (!token) return res.status(401).send({ error: 'Unauthorized' });
-
-    const redisToken = await RedisClient.get(`auth_${token}`);
-    if (!redisToken) return res.status(401).send({ error: 'Unauthorized' });
+    const { user } = req;
+
+    const pathDir = storingFolder();
+
+    let fields = req.body;
+    let upload = null;
+    if (req.is('multipart/form-data')) {
+      const quotaError = await checkQuota(user, 0);
+      if (quotaError) throw new HttpError(403, quotaError);
+      const remaining = await remainingBytes(user);
+      const quotaLimited = remaining !== null && remaining < maxUploadSize();
+      try {
+        await fs.promises.mkdir(pathDir, { recursive: true });
+        ({ fields, file: upload } = await parseMultipart(
+          req,
+          pathDir,
+          quotaLimited ? remaining : maxUploadSize(),
+        ));
+      } catch (error) {
+        if (error.code === 'LIMIT_FILE_SIZE' && quotaLimited) throw new HttpError(403, 'Storage quota exceeded');
+        if (error.code === 'LIMIT_FILE_SIZE') throw new HttpError(413, 'File too large');
+        throw new HttpError(400, error.message, 'INVALID_UPLOAD');
+      }
+      fields.isPublic = fields.isPublic === 'true';
+    }
 
-    const user = await DBClient.db
-      .collection('users')
-      .findOne({ _id: ObjectId(redisToken) });
-    if (!user) return res.status(401).send({ error: 'Unauthorized' });
+    const reject = (message, code, status = 400) => {
+      if (upload) fs.unlink(upload.localPath, () => {});
+      return new HttpError(status, message, code);
+    };
 
-    const fileName = req.body.name;
-    if (!fileName) return res.status(400).send({ error: 'Missing name' });
+    const fileName = fields.name;
+    if (!fileName) throw reject('Missing name');
 
-    const fileType = req.body.type;
-    if (!fileType || !['folder', 'file', 'image'].includes(fileType)) return res.status(400).send({ error: 'Missing type' });
+    const fileType = fields.type;
+    if (!fileType || !['folder', 'file', 'image'].includes(fileType)) throw reject('Missing type');
 
-    const fileData = req.body.data;
-    if (!fileData && ['file', 'image'].includes(fileType)) return res.status(400).send({ error: 'Missing data' });
+    const fileData = fields.data;
+    const fileHash = fields.hash;
+    if (!fileData && !upload && !fileHash && ['file', 'image'].includes(fileType)) throw reject('Missing data');
 
-    const fileIsPublic = req.body.isPublic || false;
-    let idParent = req.body.parentId || 0;
+    const fileIsPublic = fields.isPublic || false;
+    let idParent = fields.parentId || 0;
     idParent = idParent === '0' ? 0 : idParent;
-    if (idParent !== 0) {
-      const parentFile = await DBClient.db
-        .collection('files')
-        .findOne({ _id: ObjectId(idParent) });
-      if (!parentFile) return res.status(400).send({ error: 'Parent not found' });
-      if (!['folder'].includes(parentFile.type)) return res.status(400).send({ error: 'Parent is not a folder' });
-    }
+    const parentError = await checkParentAccess(idParent, user);
+    if (parentError) throw reject(parentError);
 
     const dbFile = {
       userId: user._id,
@@ -94,87 +157,75 @@ class FilesController {
     };
 
     if (['folder'].includes(fileType)) {
-      await DBClient.db.collection('files').insertOne(dbFile);
-      return res.status(201).send({
-        id: dbFile._id,
-        userId: dbFile.userId,
-        name: dbFile.name,
-        type: dbFile.type,
-        isPublic: dbFile.isPublic,
-        parentId: dbFile.parentId,
-      });
+      if (upload) fs.unlink(upload.localPath, () => {});
+      await insertFile(dbFile);
+      return res.status(201).send(fileResponse(dbFile));
     }
 
-    const pathDir = process.env.FOLDER_PATH || '/tmp/files_manager';
-    const uuidFile = uuidv4();
-
-    const buff = Buffer.from(fileData, 'base64');
-    const pathFile = `${pathDir}/${uuidFile}`;
-
-    await fs.mkdir(pathDir, { recursive: true }, (error) => {
-      if (error) return res.status(400).send({ error: error.message });
-      return true;
-    });
-
-    await fs.writeFile(pathFile, buff, (error) => {
-      if (error) return res.status(400).send({ error: error.message });
-      return true;
-    });
-
-    dbFile.localPath = pathFile;
-    await DBClient.db.collection('files').insertOne(dbFile);
+    try {
+      if (upload) {
+        const quotaError = await checkQuota(user, upload.size);
+        if (quotaError) throw reject(quotaError, undefined, 403);
+        dbFile.mimeType = sniffMime(await readHeader(upload.localPath), fileName);
+        Object.assign(dbFile, await storeBlob(upload.localPath, upload.hash, upload.size));
+      } else if (fileData) {
+        const buff = Buffer.from(fileData, 'base64');
+        const quotaError = await checkQuota(user, buff.length);
+        if (quotaError) throw reject(quotaError, undefined, 403);
+        dbFile.mimeType = sniffMime(await readHeader(buff), fileName);
+        Object.assign(dbFile, await storeBlob(buff, hashBuffer(buff), buff.length));
+      } else {
+        const sameContent = await DBClient.db
+          .collection('files')
+          .findOne({ userId: user._id, hash: fileHash });
+        const blob = sameContent
+          ? await DBClient.db.collection('blobs').findOne({ _id: fileHash })
+          : null;
+        if (!blob) throw reject('Unknown hash');
+        const quotaError = await checkQuota(user, blob.size);
+        if (quotaError) throw reject(quotaError, undefined, 403);
+        if (!await retainBlob(fileHash)) throw reject('Unknown hash');
+        Object.assign(dbFile, blobFields(fileHash, blob.size), { mimeType: sameContent.mimeType });
+      }
+    } catch (error) {
+      if (error instanceof HttpError) throw error;
+      throw reject(error.message, 'UPLOAD_FAILED');
+    }
 
-    fileQueue.add({
-      userId: dbFile.userId,
-      fileId: dbFile._id,
-    });
+    await insertFileWithinQuota(dbFile, user);
 
-    return res.status(201).send({
-      id: dbFile._id,
-      userId: dbFile.userId,
-      name: dbFile.name,
-      type: dbFile.type,
-      isPublic: dbFile.isPublic,
-      parentId: dbFile.parentId,
-    });
+    return res.status(201).send(fileResponse(dbFile));
   }
 
   /**
    * GET /files/:id should retrieve the file document based on the ID:
    * - Retrieve the user based on the token:
    * + If not found, return an error Unauthorized with a status code 401
-   * - If no file document is linked to the user and the ID passed as parameter,
-   * return an error Not found with a status code 404
-   * - Otherwise, return the file document
+   * - If no file document is linked to the ID passed as parameter, or the user is neither
+   * the owner nor a share recipient of the file or one of its parent folders, return an error
+   * Not found with a status code 404
+   * - Otherwise, return the file document with its metadata (size, mimeType, checksum,
+   * createdAt and updatedAt), with the SHA-256 hash of its content so a client can skip
+   * uploading a content the server already has, the status of its thumbnails by size for an
+   * image, and of the outputs of the worker by variant (pending, ready or failed)
    * @param {Request} req - Express request object.
    * @param {Response} res - Express response object.
    */
   static async getShow(req, res) {
-    const token = req.header('X-Token') || null;
-    if (!token) return res.status(401).send({ error: 'Unauthorized' });
-
-    const redisToken = await RedisClient.get(`auth_${token}`);
-    if (!redisToken) return res.status(401).send({ error: 'Unauthorized' });
-
-    const user = await DBClient.db
-      .collection('users')
-      .findOne({ _id: ObjectId(redisToken) });
-    if (!user) return res.status(401).send({ error: 'Unauthorized' });
+    const { user } = req;
 
     const idFile = req.params.id || '';
 
     const fileDocument = await DBClient.db
       .collection('files')
-      .findOne({ _id: ObjectId(idFile), userId: user._id });
-    if (!fileDocument) return res.status(404).send({ error: 'Not found' });
+      .findOne({ _id: ObjectId(idFile), trashedAt: null });
+    if (!fileDocument || !await fileAccess(user, fileDocument)) throw new HttpError(404, 'Not found');
 
     return res.send({
-      id: fileDocument._id,
-      userId: fileDocument.userId,
-      name: fileDocument.name,
-      type: fileDocument.type,
-      isPublic: fileDocument.isPublic,
-      parentId: fileDocument.parentId,
+      ...fileResponse(fileDocument),
+      hash: fileDocument.hash,
+      thumbnails: fileDocument.thumbnails,
+      variants: fileDocument.variants,
     });
   }
 
@@ -187,56 +238,141 @@ class FilesController {
    * + parentId:
    * * No validation of parentId needed - if the parentId is not linked to any user folder, returns
    * an empty list
-   * * By default, parentId is equal to 0 = the root
+   * * A folder shared with the user (or inside a folder shared with the user) is listed like
+   * a folder of the user
+   * * By default, parentId is equal to 0 = the root: only the files of the user are listed
+   * (the files shared with the user are listed by GET /shared)
+   * * recursive: true to list all the descendants of the folder, not only its children
+   * + Search: name (substring, case-insensitive), content (substring of the text extracted from
+   * the documents, case-insensitive), type (folder, file or image, or a comma-separated list),
+   * isPublic (true or false), mimeType (image/png or image/*), minSize and maxSize (bytes),
+   * createdAfter, createdBefore, updatedAfter and updatedBefore (dates) - if a value is not
+   * valid, return an error Invalid <parameter> with a status code 400
+   * + Sort: sort is one of name, type, size, mimeType, createdAt or updatedAt, prefixed by -
+   * for the descending order (default: the order of creation)
    * + Pagination:
-   * * Each page should be 20 items max
+   * * Each page should be 20 items max, or limit items (between 1 and 100)
    * * page query parameter starts at 0 for the first page. If equals to 1, it means it’s the
    * second page (form the 20th to the 40th), etc…
+   * * Instead of page, cursor can be sent with the value of the header X-Next-Cursor of the
+   * previous page - this header is only set when there is a next page
+   * * The header X-Total-Count gives the number of files matching, for all the pages
    * * Pagination can be done directly by the aggregate of MongoDB
+   * + Each file document is returned with its metadata, like GET /files/:id
    * @param {Request} req - Express request object.
    * @param {Response} res - Express response object.
    */
   static async getIndex(req, res) {
-    const token = req.header('X-Token') || null;
-    if (!token) return res.status(401).send({ error: 'Unauthorized' });
+    const { user } = req;
 
-    const redisToken = await RedisClient.get(`auth_${token}`);
-    if (!redisToken) return res.status(401).send({ error: 'Unauthorized' });
+    const parentId = [0, '0'].includes(req.query.parentId) ? 0 : req.query.parentId || 0;
+    const recursive = req.query.recursive === 'true';
 
-    const user = await DBClient.db
-      .collection('users')
-      .findOne({ _id: ObjectId(redisToken) });
-    if (!user) return res.status(401).send({ error: 'Unauthorized' });
+    const pagination = Number(req.query.page) || 0;
+    const limit = parseLimit(req.query.limit);
+    const sort = parseSort(req.query.sort);
+    const match = { ...await searchFilter(req.query), trashedAt: null };
+    const afterCursor = req.query.cursor ? cursorFilter(req.query.cursor, sort) : null;
 
-    const parentId = req.query.parentId || 0;
+    res.setHeader('X-Total-Count', 0);
+    if (parentId === 0 && user.apiKey && user.apiKey.folderId) return res.send([]);
+    if (parentId !== 0) {
+      if (!ObjectId.isValid(parentId)) return res.send([]);
+      const parentFile = await DBClient.db
+        .collection('files')
+        .findOne({ _id: ObjectId(parentId), trashedAt: null });
+      if (!parentFile || !await fileAccess(user, parentFile)) return res.send([]);
+
+      const folderIds = recursive
+        ? (await findDescendants(parentFile, { trashedAt: null, type: 'folder' }))
+          .map((file) => file._id.toString())
+        : [];
+      match.parentId = { $in: [parentId].concat(folderIds) };
+    } else {
+      match.userId = user._id;
+      if (!recursive) match.parentId = { $in: [0, '0'] };
+    }
 
-    const pagination = req.query.page || 0;
+    const total = await DBClient.db.collection('files').countDocuments(match);
+    res.setHeader('X-Total-Count', total);
 
-    const aggregationMatch = { $and: [{ parentId }] };
-    let aggregateData = [
-      { $match: aggregationMatch },
-      { $skip: pagination * 20 },
-      { $limit: 20 },
-    ];
-    if (parentId === 0) aggregateData = [{ $skip: pagination * 20 }, { $limit: 20 }];
+    const sortStage = sort.field === '_id'
+      ? { _id: sort.direction }
+      : { [sort.field]: sort.direction, _id: sort.direction };
+    const aggregateData = afterCursor
+      ? [{ $match: { $and: [match, afterCursor] } }, { $sort: sortStage }]
+      : [{ $match: match }, { $sort: sortStage }, { $skip: pagination * limit }];
+    aggregateData.push({ $limit: limit + 1 });
 
     const files = await DBClient.db
       .collection('files')
-      .aggregate(aggregateData);
-    const filesArray = [];
-    await files.forEach((item) => {
-      const fileItem = {
-        id: item._id,
-        userId: item.userId,
-        name: item.name,
-        type: item.type,
-        isPublic: item.isPublic,
-        parentId: item.parentId,
-      };
-      filesArray.push(fileItem);
-    });
+      .aggregate(aggregateData)
+      .toArray();
+    if (files.length > limit) {
+      files.pop();
+      res.setHeader('X-Next-Cursor', encodeCursor(files[files.length - 1], sort));
+    }
 
-    return res.send(filesArray);
+    return res.send(files.map(fileResponse));
+  }
+
+  /**
+   * GET /files/:id/path should return the breadcrumb of the file document based on the ID:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file document is linked to the ID passed as parameter, or the user is neither
+   * the owner nor a share recipient of the file or one of its parent folders, return an error
+   * Not found with a status code 404
+   * - Otherwise, return the list of the ancestor folders of the file, from the root to its
+   * parent - for a file shared with the user, the list starts at the topmost folder the user
+   * can access (the folders of the owner above it are not returned)
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getPath(req, res) {
+    const { user } = req;
+
+    const fileDocument = await DBClient.db
+      .collection('files')
+      .findOne({ _id: ObjectId(req.params.id), trashedAt: null });
+    if (!fileDocument || !await fileAccess(user, fileDocument)) throw new HttpError(404, 'Not found');
+
+    const ancestors = await findAncestors(fileDocument);
+    const access = await Promise.all(ancestors.map((file) => fileAccess(user, file)));
+    const first = access.findIndex((role) => role);
+
+    return res.send(first === -1 ? [] : ancestors.slice(first).map(fileResponse));
+  }
+
+  /**
+   * GET /files/:id/tree should return the subtree of the file document based on the ID:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file document is linked to the ID passed as parameter, or the user is neither
+   * the owner nor a share recipient of the file or one of its parent folders, return an error
+   * Not found with a status code 404
+   * - depth: (optional) query parameter, the number of levels of children returned, between 0
+   * and 10 (default: 1) - otherwise, return an error Invalid depth with a status code 400
+   * - Otherwise, return the file with its descendants (except the ones in the trash) nested
+   * in children, and for each folder the total size and number of files of its whole subtree,
+   * including the levels deeper than depth
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getTree(req, res) {
+    const { user } = req;
+
+    const depth = req.query.depth === undefined ? 1 : Number(req.query.depth);
+    if (!Number.isInteger(depth) || depth < 0 || depth > 10) throw new HttpError(400, 'Invalid depth');
+
+    const fileDocument = await DBClient.db
+      .collection('files')
+      .findOne({ _id: ObjectId(req.params.id), trashedAt: null });
+    if (!fileDocument || !await fileAccess(user, fileDocument)) throw new HttpError(404, 'Not found');
+
+    const descendants = await findDescendants(fileDocument, { trashedAt: null });
+
+    return res.send(fileTree(fileDocument, descendants, depth));
   }
 
   /**
@@ -246,36 +382,27 @@ class FilesController {
    * - If no file document is linked to the user and the ID passed as parameter,
    * return an error Not found with a status code 404
    * - Otherwise:
-   * + Update the value of isPublic to true
+   * + Update the value of isPublic to true (and updatedAt)
    * + And return the file document with a status code 200
    * @param {Request} req - Express request object.
    * @param {Response} res - Express response object.
    */
   static async putPublish(req, res) {
-    const token = req.header('X-Token') || null;
-    if (!token) return res.status(401).send({ error: 'Unauthorized' });
-
-    const redisToken = await RedisClient.get(`auth_${token}`);
-    if (!redisToken) return res.status(401).send({ error: 'Unauthorized' });
-
-    const user = await DBClient.db
-      .collection('users')
-      .findOne({ _id: ObjectId(redisToken) });
-    if (!user) return res.status(401).send({ error: 'Unauthorized' });
+    const { user } = req;
 
     const idFile = req.params.id || '';
 
     let fileDocument = await DBClient.db
       .collection('files')
-      .findOne({ _id: ObjectId(idFile), userId: user._id });
-    if (!fileDocument) return res.status(404).send({ error: 'Not found' });
+      .findOne({ _id: ObjectId(idFile), userId: user._id, trashedAt: null });
+    if (!fileDocument || !await keyAllows(user, fileDocument)) throw new HttpError(404, 'Not found');
 
     await DBClient.db
       .collection('files')
-      .update({ _id: ObjectId(idFile) }, { $set: { isPublic: true } });
+      .update({ _id: ObjectId(idFile) }, { $set: { isPublic: true, updatedAt: new Date() } });
     fileDocument = await DBClient.db
       .collection('files')
-      .findOne({ _id: ObjectId(idFile), userId: user._id });
+      .findOne({ _id: ObjectId(idFile), userId: user._id, trashedAt: null });
 
     return res.send({
       id: fileDocument._id,
@@ -294,39 +421,30 @@ class FilesController {
    * - If no file document is linked to the user and the ID passed as parameter, return an error
    * Not found with a status code 404
    * - Otherwise:
-   * + Update the value of isPublic to false
+   * + Update the value of isPublic to false (and updatedAt)
    * + And return the file document with a status code 200
    * @param {Request} req - Express request object.
    * @param {Response} res - Express response object.
    */
   static async putUnpublish(req, res) {
-    const token = req.header('X-Token') || null;
-    if (!token) return res.status(401).send({ error: 'Unauthorized' });
-
-    const redisToken = await RedisClient.get(`auth_${token}`);
-    if (!redisToken) return res.status(401).send({ error: 'Unauthorized' });
-
-    const user = await DBClient.db
-      .collection('users')
-      .findOne({ _id: ObjectId(redisToken) });
-    if (!user) return res.status(401).send({ error: 'Unauthorized' });
+    const { user } = req;
 
     const idFile = req.params.id || '';
 
     let fileDocument = await DBClient.db
       .collection('files')
-      .findOne({ _id: ObjectId(idFile), userId: user._id });
-    if (!fileDocument) return res.status(404).send({ error: 'Not found' });
+      .findOne({ _id: ObjectId(idFile), userId: user._id, trashedAt: null });
+    if (!fileDocument || !await keyAllows(user, fileDocument)) throw new HttpError(404, 'Not found');
 
     await DBClient.db
       .collection('files')
       .update(
         { _id: ObjectId(idFile), userId: user._id },
-        { $set: { isPublic: false } },
+        { $set: { isPublic: false, updatedAt: new Date() } },
       );
     fileDocument = await DBClient.db
       .collection('files')
-      .findOne({ _id: ObjectId(idFile), userId: user._id });
+      .findOne({ _id: ObjectId(idFile), userId: user._id, trashedAt: null });
 
     return res.send({
       id: fileDocument._id,
@@ -343,13 +461,29 @@ class FilesController {
    * - If no file document is linked to the ID passed as parameter, return an error Not found
    * with a status code 404
    * - If the file document (folder or file) is not public (isPublic: false) and no user
-   * authenticate or not the owner of the file, return an error Not found with a status code 404
-   * - If the type of the file document is folder, return an error A folder doesn't have content
-   * with a status code 400
-   * - If the file is not locally present, return an error Not found with a status code 404
+   * authenticate or neither the owner nor a share recipient of the file (or one of its parent
+   * folders), return an error Not found with a status code 404
+   * - If the type of the file document is folder, return a ZIP archive of the folder (see
+   * GET /files/zip), named <folder name>.zip
+   * - If the file is not present in the storage, return an error Not found with a status code 404
+   * - size: (optional) the name of a thumbnail size (THUMBNAIL_SIZES) to return the thumbnail
+   * - if it is not generated yet, return an error Thumbnail pending with a status code 404
+   * - For an image, width, height, fit (cover, contain, fill, inside or outside), format (jpeg,
+   * webp or png) and quality (1 to 100) return a transformed image, generated at the first
+   * request and cached on disk (TRANSFORM_CACHE_SIZE bytes at most, the least recently used
+   * images removed first) - size can also be any width - if a value is not valid, return an
+   * error Invalid <parameter> with a status code 400, and if the file is not an image, an
+   * error Not an image with a status code 400
+   * - variant: (optional) an output of the worker for the file: preview (first page of a PDF),
+   * text (text extracted from a PDF or a text document) or poster (frame of a video) - if it is
+   * not generated yet, return an error Variant pending with a status code 404
    * - Otherwise:
-   * + By using the module mime-types, get the MIME-type based on the name of the file
-   * + Return the content of the file with the correct MIME-type
+   * + Use the MIME-type detected at upload (mimeType), or for a file uploaded before the
+   * detection, the MIME-type based on the name of the file with the module mime-types
+   * + Stream the content of the file from the storage driver with the correct MIME-type
+   * + The Range, If-Range, If-None-Match and If-Modified-Since headers are honored for
+   * the original file and the thumbnails: 206 for a partial content, 304 if not modified,
+   * 416 for a range out of the file
    * @param {Request} req - Express request object.
    * @param {Response} res - Express response object.
    */
@@ -359,40 +493,510 @@ class FilesController {
 
     const fileDocument = await DBClient.db
       .collection('files')
-      .findOne({ _id: ObjectId(idFile) });
-    if (!fileDocument) return res.status(404).send({ error: 'Not found' });
+      .findOne({ _id: ObjectId(idFile), trashedAt: null });
+    if (!fileDocument) throw new HttpError(404, 'Not found');
 
     const { isPublic } = fileDocument;
-    const { userId } = fileDocument;
-    const { type } = fileDocument;
-
-    let user = null;
-    let owner = false;
-
-    const token = req.header('X-Token') || null;
-    if (token) {
-      const redisToken = await RedisClient.get(`auth_${token}`);
-      if (redisToken) {
-        user = await DBClient.db
-          .collection('users')
-          .findOne({ _id: ObjectId(redisToken) });
-        if (user) owner = user._id.toString() === userId.toString();
+
+    const { user } = req;
+    const access = await fileAccess(user, fileDocument);
+
+    if (!isPublic && !access) throw new HttpError(404, 'Not found');
+
+    if (['folder'].includes(fileDocument.type)) {
+      const descendants = await findDescendants(fileDocument, { trashedAt: null });
+      const entries = zipEntries([fileDocument], descendants, () => !!access);
+      return sendZip(res, `${fileDocument.name}.zip`, entries);
+    }
+
+    return sendFile(req, res, fileDocument, {
+      size,
+      variant: req.query.variant,
+      transform: parseTransform(req.query),
+    });
+  }
+
+  /**
+   * GET /files/zip should return a ZIP archive of several file documents based on their IDs:
+   * - ids: query parameter, the comma-separated list of the IDs of the files and folders (100
+   * at most) - if missing, or more than 100, return an error Missing ids with a status code 400
+   * - Each file document is checked like for GET /files/:id/data: if one of them is not found,
+   * or it is not public and the user (optional) is neither the owner nor a share recipient of
+   * the file, return an error Not found with a status code 404
+   * - Otherwise, stream the archive built on the fly, named files.zip:
+   * + The files are added at the root of the archive, and the folders with all their
+   * descendants (except the ones in the trash) with the hierarchy preserved
+   * + For a public folder the user can't access otherwise, only its public descendants are added
+   * + Two files with the same name in a folder are renamed name (1), name (2)...
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getZip(req, res) {
+    const ids = String(req.query.ids || '')
+      .split(',')
+      .filter((id) => id)
+      .filter((id, index, list) => list.indexOf(id) === index);
+    if (!ids.length || ids.length > 100) throw new HttpError(400, 'Missing ids');
+    if (ids.some((id) => !/^[0-9a-fA-F]{24}$/.test(id))) throw new HttpError(404, 'Not found');
+
+    const { user } = req;
+    const files = await DBClient.db
+      .collection('files')
+      .find({ _id: { $in: ids.map((id) => ObjectId(id)) }, trashedAt: null })
+      .toArray();
+    if (files.length !== ids.length) throw new HttpError(404, 'Not found');
+
+    const access = await Promise.all(files.map((file) => fileAccess(user, file)));
+    if (files.some((file, index) => !file.isPublic && !access[index])) throw new HttpError(404, 'Not found');
+
+    const roots = ids.map((id) => files.find((file) => file._id.toString() === id.toLowerCase()));
+    const descendants = [].concat(...await Promise.all(roots
+      .map((file) => findDescendants(file, { trashedAt: null }))));
+    const entries = zipEntries(roots, descendants, (root) => !!access[files.indexOf(root)]);
+
+    return sendZip(res, 'files.zip', entries);
+  }
+
+  /**
+   * PUT /files/:id/data should upload a new version of the content of the file document based
+   * on the ID:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file document is linked to the ID passed as parameter, or the user is neither the
+   * owner nor an editor of the file (shared with the role editor), return an error Not found
+   * with a status code 404
+   * - If the type of the file document is folder, return an error A folder doesn't have
+   * content with a status code 400
+   * - The content is sent like for POST /files: data (Base64) or hash in JSON, or a file part
+   * with multipart/form-data - if missing, return an error Missing data with a status code 400
+   * - The content must fit in the storage quota of the owner of the file (for
+   * multipart/form-data, checked before receiving it and while streaming) - otherwise, return
+   * an error Storage quota exceeded with a status code 403
+   * - If the content is the same as the current one, return the file document unchanged with
+   * a status code 200
+   * - Otherwise:
+   * + The current content is kept as the previous version of the file
+   * + The file document gets the new content (hash, size, checksum, mimeType), the next
+   * version number, uploadedBy (the user) and updatedAt
+   * + The thumbnails of the new content are generated by the worker
+   * + The oldest versions over MAX_FILE_VERSIONS (default: 10) are deleted, their contents
+   * and thumbnails removed from the storage when no other file references them
+   * + Return the updated file document with a status code 200
+   * - If another version was added meanwhile, return an error Version conflict with a status
+   * code 409
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async putData(req, res) {
+    const { user } = req;
+
+    const idFile = req.params.id || '';
+
+    const fileDocument = await DBClient.db
+      .collection('files')
+      .findOne({ _id: ObjectId(idFile), trashedAt: null });
+    if (!fileDocument) throw new HttpError(404, 'Not found');
+    if (!hasRole(await fileAccess(user, fileDocument), 'editor')) throw new HttpError(404, 'Not found');
+    if (['folder'].includes(fileDocument.type)) throw new HttpError(400, "A folder doesn't have content");
+
+    const owner = fileDocument.userId.toString() === user._id.toString()
+      ? user
+      : await DBClient.db.collection('users').findOne({ _id: fileDocument.userId });
+
+    const pathDir = storingFolder();
+
+    let fields = req.body;
+    let upload = null;
+    if (req.is('multipart/form-data')) {
+      const quotaError = await checkQuota(owner, 0, 0);
+      if (quotaError) throw new HttpError(403, quotaError);
+      const remaining = await remainingBytes(owner);
+      const quotaLimited = remaining !== null && remaining < maxUploadSize();
+      try {
+        await fs.promises.mkdir(pathDir, { recursive: true });
+        ({ fields, file: upload } = await parseMultipart(
+          req,
+          pathDir,
+          quotaLimited ? remaining : maxUploadSize(),
+        ));
+      } catch (error) {
+        if (error.code === 'LIMIT_FILE_SIZE' && quotaLimited) throw new HttpError(403, 'Storage quota exceeded');
+        if (error.code === 'LIMIT_FILE_SIZE') throw new HttpError(413, 'File too large');
+        throw new HttpError(400, error.message, 'INVALID_UPLOAD');
+      }
+    }
+
+    const reject = (message, code, status = 400) => {
+      if (upload) fs.unlink(upload.localPath, () => {});
+      return new HttpError(status, message, code);
+    };
+
+    const fileData = fields.data;
+    const fileHash = fields.hash;
+    if (!fileData && !upload && !fileHash) throw reject('Missing data');
+
+    const buff = !upload && fileData ? Buffer.from(fileData, 'base64') : null;
+    let newHash = fileHash;
+    if (upload) newHash = upload.hash;
+    else if (buff) newHash = hashBuffer(buff);
+    if (newHash === fileDocument.hash) {
+      if (upload) fs.unlink(upload.localPath, () => {});
+      return res.send(fileResponse(fileDocument));
+    }
+
+    let content;
+    try {
+      if (upload || buff) {
+        const size = upload ? upload.size : buff.length;
+        const quotaError = await checkQuota(owner, size, 0);
+        if (quotaError) throw reject(quotaError, undefined, 403);
+        const source = upload ? upload.localPath : buff;
+        const mimeType = sniffMime(await readHeader(source), fileDocument.name);
+        content = { ...await storeBlob(source, newHash, size), mimeType };
+      } else {
+        const sameContent = await DBClient.db
+          .collection('files')
+          .findOne({ userId: user._id, hash: fileHash });
+        const blob = sameContent
+          ? await DBClient.db.collection('blobs').findOne({ _id: fileHash })
+          : null;
+        if (!blob) throw reject('Unknown hash');
+        const quotaError = await checkQuota(owner, blob.size, 0);
+        if (quotaError) throw reject(quotaError, undefined, 403);
+        if (!await retainBlob(fileHash)) throw reject('Unknown hash');
+        content = { ...blobFields(fileHash, blob.size), mimeType: sameContent.mimeType };
+      }
+    } catch (error) {
+      if (error instanceof HttpError) throw error;
+      throw reject(error.message, 'UPLOAD_FAILED');
+    }
+
+    const updated = await addVersion(fileDocument, content, user);
+
+    return res.send(fileResponse(updated));
+  }
+
+  /**
+   * GET /files/:id/versions should return the versions of the file document based on the ID:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file document is linked to the ID passed as parameter, or the user is neither
+   * the owner nor a share recipient of the file or one of its parent folders, return an error
+   * Not found with a status code 404
+   * - Otherwise, return the list of the versions from the newest to the oldest, the current
+   * one included (an empty list for a folder), each with:
+   * + version, size, mimeType, checksum, uploadedBy and createdAt (the date of the upload)
+   * + current: true for the current content of the file
+   * + sizeDelta: the difference of size with the previous version (null for the first one)
+   * + sameContent: true if the content is identical to the previous version
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getVersions(req, res) {
+    const { user } = req;
+
+    const idFile = req.params.id || '';
+
+    const fileDocument = await DBClient.db
+      .collection('files')
+      .findOne({ _id: ObjectId(idFile), trashedAt: null });
+    if (!fileDocument || !await fileAccess(user, fileDocument)) throw new HttpError(404, 'Not found');
+
+    if (['folder'].includes(fileDocument.type)) return res.send([]);
+
+    const versions = await findVersions(fileDocument);
+
+    return res.send(versions.map((item, index) => {
+      const previous = versions[index + 1];
+      return {
+        version: item.version,
+        size: item.size,
+        mimeType: item.mimeType,
+        checksum: item.checksum,
+        uploadedBy: item.uploadedBy,
+        createdAt: item.createdAt,
+        current: index === 0,
+        sizeDelta: previous && item.size !== undefined && previous.size !== undefined
+          ? item.size - previous.size
+          : null,
+        sameContent: !!previous && !!item.checksum && item.checksum === previous.checksum,
+      };
+    }));
+  }
+
+  /**
+   * GET /files/:id/versions/:version/data should return the content of a version of the file
+   * document based on the ID:
+   * - The file document is checked like for GET /files/:id/data: if it is not found, or it is
+   * not public and the user (optional) is neither the owner nor a share recipient of the file,
+   * return an error Not found with a status code 404
+   * - If the version doesn't exist (or was deleted by the retention), return an error Not
+   * found with a status code 404
+   * - Otherwise, return the content of the version like GET /files/:id/data (with the MIME
+   * type detected for this version, the size, variant and transform query parameters, and the Range
+   * and conditional headers)
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getVersionData(req, res) {
+    const idFile = req.params.id || '';
+    const size = req.query.size || 0;
+
+    const fileDocument = await DBClient.db
+      .collection('files')
+      .findOne({ _id: ObjectId(idFile), trashedAt: null });
+    if (!fileDocument) throw new HttpError(404, 'Not found');
+
+    const { user } = req;
+    if (!fileDocument.isPublic && !await fileAccess(user, fileDocument)) throw new HttpError(404, 'Not found');
+
+    const number = Number(req.params.version);
+    const version = Number.isSafeInteger(number) && number > 0
+      ? await findVersion(fileDocument, number)
+      : null;
+    if (!version) throw new HttpError(404, 'Not found');
+
+    const { name, type } = fileDocument;
+    return sendFile(req, res, { ...version, name, type }, {
+      size,
+      variant: req.query.variant,
+      transform: parseTransform(req.query),
+    });
+  }
+
+  /**
+   * POST /files/:id/versions/:version/restore should make a previous version the current
+   * content of the file document based on the ID:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file document is linked to the ID passed as parameter, or the user is neither the
+   * owner nor an editor of the file (shared with the role editor), or the version doesn't
+   * exist, return an error Not found with a status code 404
+   * - If the version is the current one, return an error Already the current version with a
+   * status code 400
+   * - The content must fit in the storage quota of the owner of the file - otherwise, return
+   * an error Storage quota exceeded with a status code 403
+   * - Otherwise, the content of the version is uploaded again as a new version (see
+   * PUT /files/:id/data): the history is kept, the current content becoming the previous
+   * version - return the updated file document with a status code 200
+   * - If another version was added meanwhile, return an error Version conflict with a status
+   * code 409
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async postRestoreVersion(req, res) {
+    const { user } = req;
+
+    const idFile = req.params.id || '';
+
+    const fileDocument = await DBClient.db
+      .collection('files')
+      .findOne({ _id: ObjectId(idFile), trashedAt: null });
+    if (!fileDocument) throw new HttpError(404, 'Not found');
+    if (!hasRole(await fileAccess(user, fileDocument), 'editor')) throw new HttpError(404, 'Not found');
+
+    const number = Number(req.params.version);
+    const version = Number.isSafeInteger(number) && number > 0
+      ? await findVersion(fileDocument, number)
+      : null;
+    if (!version || ['folder'].includes(fileDocument.type)) throw new HttpError(404, 'Not found');
+    if (number === (fileDocument.version || 1)) throw new HttpError(400, 'Already the current version');
+
+    const owner = fileDocument.userId.toString() === user._id.toString()
+      ? user
+      : await DBClient.db.collection('users').findOne({ _id: fileDocument.userId });
+    const quotaError = await checkQuota(owner, version.size || 0, 0);
+    if (quotaError) throw new HttpError(403, quotaError);
+
+    const versions = DBClient.db.collection('versions');
+    if (version.hash) {
+      if (!await retainBlob(version.hash)) throw new HttpError(404, 'Not found');
+    } else {
+      // A content stored before the blobs can't be shared: the version gives it to the file
+      await versions.deleteOne({ _id: version._id });
+    }
+
+    const updated = await addVersion(fileDocument, version, user).catch(async (error) => {
+      if (!version.hash) await versions.insertOne(version);
+      throw error;
+    });
+
+    return res.send(fileResponse(updated));
+  }
+
+  /**
+   * PATCH /files/:id should rename and/or move the file document based on the ID:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file document is linked to the ID passed as parameter, or the user is neither the
+   * owner nor an editor of the file (shared with the role editor), return an error Not found
+   * with a status code 404
+   * - The fields to update are:
+   * + name: (optional) the new filename
+   * + parentId: (optional) the ID of the new parent (0 -> the root)
+   * - If none of them is set, or name is not a non-empty string, return an error Missing name
+   * or parentId with a status code 400
+   * - If the parentId is set:
+   * + It is validated like for POST /files: Parent not found or Parent is not a folder with a
+   * status code 400 - the parent must be a folder the user can edit, and only the owner of the
+   * file can move it to the root or to a folder of another user (an editor can only move it
+   * between the folders of its owner)
+   * + If the new parent is the folder itself or one of its descendants, return an error Cannot
+   * move a folder into its own descendant with a status code 400
+   * - Otherwise, update the file document (and its updatedAt) and return it with a status
+   * code 200
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async patchFile(req, res) {
+    const { user } = req;
+
+    const idFile = req.params.id || '';
+
+    let fileDocument = await DBClient.db
+      .collection('files')
+      .findOne({ _id: ObjectId(idFile), trashedAt: null });
+    if (!fileDocument) throw new HttpError(404, 'Not found');
+
+    const access = await fileAccess(user, fileDocument);
+    if (!hasRole(access, 'editor')) throw new HttpError(404, 'Not found');
+
+    const { name, parentId } = req.body;
+    if ((name === undefined && parentId === undefined)
+      || (name !== undefined && (typeof name !== 'string' || !name))) {
+      throw new HttpError(400, 'Missing name or parentId');
+    }
+
+    const update = { updatedAt: new Date() };
+    if (name !== undefined) update.name = name;
+
+    if (parentId !== undefined) {
+      const idParent = [0, '0'].includes(parentId) ? 0 : parentId;
+      if (idParent === 0 && access !== 'owner') throw new HttpError(400, 'Parent not found');
+      const parentError = await checkParentAccess(idParent, user);
+      if (parentError) throw new HttpError(400, parentError);
+
+      if (idParent !== 0) {
+        const parentFile = await DBClient.db
+          .collection('files')
+          .findOne({ _id: ObjectId(idParent) });
+        if (access !== 'owner' && parentFile.userId.toString() !== fileDocument.userId.toString()) {
+          throw new HttpError(400, 'Parent not found');
+        }
+        const parentPath = (await findAncestors(parentFile)).concat([parentFile]);
+        if (parentPath.some((file) => file._id.equals(fileDocument._id))) {
+          throw new HttpError(400, 'Cannot move a folder into its own descendant');
+        }
       }
+      update.parentId = idParent;
     }
 
-    if (!isPublic && !owner) return res.status(404).send({ error: 'Not found' });
-    if (['folder'].includes(type)) return res.status(400).send({ error: "A folder doesn't have content" });
+    await DBClient.db
+      .collection('files')
+      .updateOne({ _id: fileDocument._id }, { $set: update });
+    fileDocument = await DBClient.db
+      .collection('files')
+      .findOne({ _id: fileDocument._id });
 
-    const realPath = size === 0 ? fileDocument.localPath : `${fileDocument.localPath}_${size}`;
+    return res.status(200).send(fileResponse(fileDocument));
+  }
+
+  /**
+   * POST /files/:id/copy should duplicate the file document based on the ID:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file document is linked to the ID passed as parameter, or the user is neither the
+   * owner nor a share recipient of the file, return an error Not found with a status code 404
+   * - To copy a file, you can specify:
+   * + parentId: (optional) as ID of the parent of the copy (default: 0 -> the root)
+   * + name: (optional) as filename of the copy (default: the same name)
+   * - The parentId is validated like for POST /files: Parent not found or Parent is not a
+   * folder with a status code 400 - the parent must be a folder the user can edit
+   * - If the new parent is the folder itself or one of its descendants, return an error Cannot
+   * copy a folder into its own descendant with a status code 400
+   * - If the copy doesn't fit in the quotas of the user, return an error Storage quota exceeded
+   * or File quota exceeded with a status code 403 - checked before copying, and again once
+   * copied (for the concurrent uploads): the copies are then removed
+   * - Otherwise:
+   * + Copy the file, or the folder and all its descendants, with new local paths and new
+   * thumbnail jobs in fileQueue - the user is the owner of the copy
+   * + Return the new file with a status code 201
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async postCopy(req, res) {
+    const { user } = req;
+
+    const idFile = req.params.id || '';
+
+    const fileDocument = await DBClient.db
+      .collection('files')
+      .findOne({ _id: ObjectId(idFile), trashedAt: null });
+    if (!fileDocument || !await fileAccess(user, fileDocument)) throw new HttpError(404, 'Not found');
 
+    let idParent = req.body.parentId || 0;
+    idParent = idParent === '0' ? 0 : idParent;
+    const parentError = await checkParentAccess(idParent, user);
+    if (parentError) throw new HttpError(400, parentError);
+
+    if (idParent !== 0) {
+      const parentFile = await DBClient.db
+        .collection('files')
+        .findOne({ _id: ObjectId(idParent) });
+      const parentPath = (await findAncestors(parentFile)).concat([parentFile]);
+      if (parentPath.some((file) => file._id.equals(fileDocument._id))) {
+        throw new HttpError(400, 'Cannot copy a folder into its own descendant');
+      }
+    }
+
+    const copied = [fileDocument]
+      .concat(await findDescendants(fileDocument, { trashedAt: null }))
+      .filter((file) => !['folder'].includes(file.type));
+    const quotaError = await checkQuota(
+      user,
+      copied.reduce((total, file) => total + (file.size || 0), 0),
+      copied.length,
+    );
+    if (quotaError) throw new HttpError(403, quotaError);
+
+    let copy;
     try {
-      const dataFile = fs.readFileSync(realPath);
-      const mimeType = mime.contentType(fileDocument.name);
-      res.setHeader('Content-Type', mimeType);
-      return res.send(dataFile);
+      copy = await copyTreeWithinQuota(fileDocument, idParent, req.body.name, user);
     } catch (error) {
-      return res.status(404).send({ error: 'Not found' });
+      if (error instanceof HttpError) throw error;
+      throw new HttpError(400, error.message, 'COPY_FAILED');
     }
+
+    return res.status(201).send(fileResponse(copy));
+  }
+
+  /**
+   * DELETE /files/:id should move the file document based on the ID to the trash:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file document is linked to the ID passed as parameter, or the user is neither the
+   * owner nor an editor of the file (shared with the role editor), return an error Not found
+   * with a status code 404
+   * - Otherwise:
+   * + Move the file to the trash of its owner, with all its descendants for a folder
+   * + Return nothing with a status code 204
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async deleteFile(req, res) {
+    const { user } = req;
+
+    const idFile = req.params.id || '';
+
+    const fileDocument = await DBClient.db
+      .collection('files')
+      .findOne({ _id: ObjectId(idFile), trashedAt: null });
+    if (!fileDocument) throw new HttpError(404, 'Not found');
+    if (!hasRole(await fileAccess(user, fileDocument), 'editor')) throw new HttpError(404, 'Not found');
+
+    await trashFile(fileDocument);
+
+    return res.status(204).send();
   }
 }
 
@@ -0,0 +1,47 @@
+import DBClient from '../utils/db';
+import { isAdmin } from '../utils/auth';
+import { keyAllows } from '../utils/apiKeys';
+import { HttpError } from '../utils/errors';
+import { findJob, jobResponse } from '../utils/queues';
+
+const { ObjectId } = require('mongodb');
+
+/**
+ * A file JobsController.js that contains the endpoints of the jobs of the worker: the
+ * uploads return the ID of the job generating the thumbnails and the processor outputs of
+ * the file as jobId.
+ */
+class JobsController {
+  /**
+   * GET /jobs/:id should return the status of a job:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - queue: (optional) the name of the queue of the job, default: fileQueue - if it is not
+   * a queue of the worker, return an error Invalid queue with a status code 400
+   * - If no job is linked to the ID, or the job is not about a file of the user (except for
+   * an admin), or with an API key restricted to a folder, not about a file in this folder,
+   * return an error Not found with a status code 404
+   * - Otherwise, return the job with its state, progress, attempts and error (see jobResponse)
+   * with a status code 200
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getShow(req, res) {
+    const { user } = req;
+
+    const job = await findJob(req.query.queue || 'fileQueue', req.params.id);
+    if (!isAdmin(user) && String(job.data.userId) !== user._id.toString()) {
+      throw new HttpError(404, 'Not found');
+    }
+    if (user.apiKey && user.apiKey.folderId) {
+      const fileDocument = ObjectId.isValid(job.data.fileId)
+        ? await DBClient.db.collection('files').findOne({ _id: ObjectId(job.data.fileId) })
+        : null;
+      if (!fileDocument || !await keyAllows(user, fileDocument)) throw new HttpError(404, 'Not found');
+    }
+
+    return res.status(200).send(await jobResponse(job));
+  }
+}
+
+module.exports = JobsController;
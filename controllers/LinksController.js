@@ -0,0 +1,222 @@
+import DBClient from '../utils/db';
+import { HttpError } from '../utils/errors';
+import { fileAccess } from '../utils/shares';
+import { keyAllows } from '../utils/apiKeys';
+import { hashPassword, verifyPassword } from '../utils/passwords';
+import { sendFile } from '../utils/http';
+import { parseTransform } from '../utils/transforms';
+
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+
+/**
+ * The public representation of a share link (the password hash is never returned).
+ * @param {Object} link - Link document from DB.
+ * @returns {Object}
+ */
+const linkResponse = (link) => ({
+  id: link._id,
+  fileId: link.fileId,
+  token: link.token,
+  expiresAt: link.expiresAt,
+  maxDownloads: link.maxDownloads,
+  downloads: link.downloads,
+  accessCount: link.accessCount,
+  hasPassword: !!link.password,
+  createdAt: link.createdAt,
+  lastAccessedAt: link.lastAccessedAt,
+});
+
+/**
+ * A file LinksController.js that contains the endpoints of the share links:
+ * a link gives access to the content of a file without authentication, through
+ * an unguessable token, until it expires, reaches its download limit or is revoked.
+ */
+class LinksController {
+  /**
+   * POST /files/:id/links should create a share link for the file document based on the ID:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file document is linked to the ID passed as parameter, or the user is not the owner
+   * of the file, return an error Not found with a status code 404
+   * - If the type of the file document is folder, return an error A folder doesn't have content
+   * with a status code 400
+   * - To create a link, you can specify:
+   * + expiresAt: (optional) the date after which the link doesn't work anymore - if not a
+   * date in the future, return an error Invalid expiresAt with a status code 400
+   * + maxDownloads: (optional) the number of downloads allowed - if not a positive integer,
+   * return an error Invalid maxDownloads with a status code 400
+   * + password: (optional) the password to send to download with the link (stored hashed)
+   * - Otherwise:
+   * + Generate a random token of 32 bytes, in hexadecimal
+   * + Add the link in the collection links and return it with a status code 201
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async postLink(req, res) {
+    const { user } = req;
+
+    const fileDocument = await DBClient.db
+      .collection('files')
+      .findOne({ _id: ObjectId(req.params.id), trashedAt: null });
+    if (!fileDocument || await fileAccess(user, fileDocument) !== 'owner') throw new HttpError(404, 'Not found');
+    if (['folder'].includes(fileDocument.type)) throw new HttpError(400, "A folder doesn't have content");
+
+    const { password } = req.body;
+    let expiresAt = null;
+    if (req.body.expiresAt) {
+      expiresAt = new Date(req.body.expiresAt);
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) throw new HttpError(400, 'Invalid expiresAt');
+    }
+    let maxDownloads = null;
+    if (req.body.maxDownloads !== undefined && req.body.maxDownloads !== null) {
+      maxDownloads = Number(req.body.maxDownloads);
+      if (!Number.isInteger(maxDownloads) || maxDownloads < 1) throw new HttpError(400, 'Invalid maxDownloads');
+    }
+
+    const link = {
+      userId: user._id,
+      fileId: fileDocument._id,
+      token: crypto.randomBytes(32).toString('hex'),
+      expiresAt,
+      maxDownloads,
+      password: password ? await hashPassword(String(password)) : null,
+      downloads: 0,
+      accessCount: 0,
+      createdAt: new Date(),
+      lastAccessedAt: null,
+    };
+    await DBClient.db.collection('links').insertOne(link);
+
+    return res.status(201).send(linkResponse(link));
+  }
+
+  /**
+   * GET /links should return the share links created by the user:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - fileId: (optional) query parameter to return only the links of a file
+   * - Return the list of links with their download and access counts - with an API key
+   * restricted to a folder, only the links of the files in this folder
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getIndex(req, res) {
+    const { user } = req;
+
+    const query = { userId: user._id };
+    if (req.query.fileId) {
+      if (!ObjectId.isValid(req.query.fileId)) return res.status(200).send([]);
+      query.fileId = ObjectId(req.query.fileId);
+    }
+
+    let links = await DBClient.db
+      .collection('links')
+      .find(query)
+      .toArray();
+    if (user.apiKey && user.apiKey.folderId) {
+      const files = await DBClient.db
+        .collection('files')
+        .find({ _id: { $in: links.map((link) => link.fileId) } })
+        .toArray();
+      const allowed = await Promise.all(links.map((link) => {
+        const fileDocument = files.find((file) => file._id.toString() === link.fileId.toString());
+        return fileDocument ? keyAllows(user, fileDocument) : false;
+      }));
+      links = links.filter((_, index) => allowed[index]);
+    }
+
+    return res.status(200).send(links.map(linkResponse));
+  }
+
+  /**
+   * DELETE /links/:id should revoke a share link:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no link of the user is linked to the ID, return an error Not found with a status
+   * code 404
+   * - Otherwise, remove the link and return nothing with a status code 204
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async deleteLink(req, res) {
+    const { user } = req;
+
+    const { deletedCount } = await DBClient.db
+      .collection('links')
+      .deleteOne({ _id: ObjectId(req.params.id), userId: user._id });
+    if (!deletedCount) throw new HttpError(404, 'Not found');
+
+    return res.status(204).send();
+  }
+
+  /**
+   * GET /links/:token/data (or POST, to send the password in the body) should return the
+   * content of the file shared by a link, without authentication:
+   * - If no link is linked to the token, return an error Not found with a status code 404
+   * - If the link expired, return an error Link expired with a status code 410
+   * - If the link has a password, it must be sent in the header X-Link-Password (or in the
+   * body of POST /links/:token/data, as password - never in the URL):
+   * + If missing, return an error Password required with a status code 401
+   * + If not matching, return an error Wrong password with a status code 401
+   * - Every other access is recorded on the link (accessCount and lastAccessedAt)
+   * - If the file is no longer available, return an error Not found with a status code 404
+   * - If the download limit is reached, return an error Download limit reached with a status
+   * code 410
+   * - Otherwise, return the content like GET /files/:id/data, with the same size, variant and
+   * transform query parameters for the thumbnails and previews - with a download limit, every
+   * response sending content is counted (the ranges, thumbnails and previews included, not the
+   * revalidations with a status code 304), otherwise only the downloads of the original
+   * content are: the whole content, or a range starting at the first byte
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getFile(req, res) {
+    const links = DBClient.db.collection('links');
+
+    const link = await links.findOne({ token: req.params.token });
+    if (!link) throw new HttpError(404, 'Not found');
+
+    if (link.expiresAt && link.expiresAt <= new Date()) throw new HttpError(410, 'Link expired');
+
+    if (link.password) {
+      const password = req.header('X-Link-Password') || (req.body && req.body.password);
+      if (!password) throw new HttpError(401, 'Password required');
+      if (!await verifyPassword(String(password), link.password)) throw new HttpError(401, 'Wrong password');
+    }
+
+    await links.updateOne(
+      { _id: link._id },
+      { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } },
+    );
+
+    const fileDocument = await DBClient.db
+      .collection('files')
+      .findOne({ _id: link.fileId, trashedAt: null });
+    if (!fileDocument) throw new HttpError(404, 'Not found');
+
+    const size = req.query.size || 0;
+    const { variant } = req.query;
+    const transform = parseTransform(req.query);
+    const preview = size || variant || transform;
+    const limitQuery = { _id: link._id, $expr: { $lt: ['$downloads', '$maxDownloads'] } };
+    if (link.maxDownloads !== null && !await links.findOne(limitQuery)) {
+      throw new HttpError(410, 'Download limit reached');
+    }
+    const onDownload = async (range) => {
+      if (link.maxDownloads === null) {
+        if (preview || (range && range.start > 0)) return;
+        await links.updateOne({ _id: link._id }, { $inc: { downloads: 1 } });
+        return;
+      }
+      const { value } = await links.findOneAndUpdate(limitQuery, { $inc: { downloads: 1 } });
+      if (!value) throw new HttpError(410, 'Download limit reached');
+    };
+
+    return sendFile(req, res, fileDocument, {
+      size, variant, transform, onDownload,
+    });
+  }
+}
+
+module.exports = LinksController;
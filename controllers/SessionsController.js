@@ -0,0 +1,78 @@
+import {
+  findUserSessions, revokeAuthToken, revokeUserTokens, sessionId,
+} from '../utils/auth';
+import { HttpError } from '../utils/errors';
+
+/**
+ * A file SessionsController.js that contains the endpoints of the sessions:
+ * each token generated by GET /connect is a session of the user, which expires
+ * after SESSION_TTL seconds without activity.
+ */
+class SessionsController {
+  /**
+   * GET /sessions should return the active sessions of the user:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - Return the list of sessions with their id, createdAt, lastUsedAt, userAgent, ip and
+   * current (true for the session of the token used) - the tokens are never returned
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getIndex(req, res) {
+    const { user } = req;
+
+    const current = req.header('X-Token');
+    const sessions = await findUserSessions(user._id);
+
+    return res.status(200).send(sessions.map((session) => ({
+      id: sessionId(session.token),
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      current: session.token === current,
+    })));
+  }
+
+  /**
+   * DELETE /sessions/:id should revoke a session of the user:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no active session of the user is linked to the ID, return an error Not found with a
+   * status code 404
+   * - Otherwise, revoke the token of the session (it can be the current one) and return
+   * nothing with a status code 204
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async deleteSession(req, res) {
+    const { user } = req;
+
+    const sessions = await findUserSessions(user._id);
+    const session = sessions.find((item) => sessionId(item.token) === req.params.id);
+    if (!session) throw new HttpError(404, 'Not found');
+
+    await revokeAuthToken(session.token, user._id);
+
+    return res.status(204).send();
+  }
+
+  /**
+   * DELETE /sessions should revoke all the sessions of the user except the current one:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - Otherwise, revoke all the other tokens of the user and return nothing with a status
+   * code 204
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async deleteOthers(req, res) {
+    const { user } = req;
+
+    await revokeUserTokens(user._id, req.header('X-Token'));
+
+    return res.status(204).send();
+  }
+}
+
+module.exports = SessionsController;
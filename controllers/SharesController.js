@@ -0,0 +1,193 @@
+import DBClient from '../utils/db';
+import { HttpError } from '../utils/errors';
+import { fileResponse } from '../utils/files';
+import { fileAccess } from '../utils/shares';
+import { keyAllows } from '../utils/apiKeys';
+
+const { ObjectId } = require('mongodb');
+
+/**
+ * Retrieves a file the user owns (see fileAccess: owning a parent folder is not enough).
+ * @param {Object} user - User document.
+ * @param {String} id - ID of the file.
+ * @returns {Promise<Object | null>}
+ */
+const findOwnedFile = async (user, id) => {
+  const fileDocument = await DBClient.db
+    .collection('files')
+    .findOne({ _id: ObjectId(id), trashedAt: null });
+  if (!fileDocument || await fileAccess(user, fileDocument) !== 'owner') return null;
+  return fileDocument;
+};
+
+/**
+ * The public representation of a share.
+ * @param {Object} share - Share document from DB.
+ * @param {Object} recipient - (optional) User document of the recipient.
+ * @returns {Object}
+ */
+const shareResponse = (share, recipient) => ({
+  fileId: share.fileId,
+  userId: share.userId,
+  email: recipient ? recipient.email : undefined,
+  role: share.role,
+  createdAt: share.createdAt,
+});
+
+/**
+ * A file SharesController.js that contains the endpoints of the shares:
+ * a file or a folder is shared with another user as viewer or editor, and
+ * the grant is inherited by all the descendants of a folder.
+ */
+class SharesController {
+  /**
+   * GET /files/:id/shares should return the shares of the file document based on the ID:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file document is linked to the ID passed as parameter, or the user is not the owner
+   * of the file, return an error Not found with a status
+   * code 404
+   * - Otherwise, return the list of shares of the file (the shares of its parent folders are not
+   * listed) with the email of each recipient
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getIndex(req, res) {
+    const { user } = req;
+
+    const fileDocument = await findOwnedFile(user, req.params.id);
+    if (!fileDocument) throw new HttpError(404, 'Not found');
+
+    const shares = await DBClient.db
+      .collection('shares')
+      .find({ fileId: fileDocument._id })
+      .toArray();
+    const recipients = await DBClient.db
+      .collection('users')
+      .find({ _id: { $in: shares.map((share) => share.userId) } })
+      .toArray();
+
+    return res.status(200).send(shares.map((share) => shareResponse(
+      share,
+      recipients.find((recipient) => recipient._id.toString() === share.userId.toString()),
+    )));
+  }
+
+  /**
+   * POST /files/:id/shares should share the file document based on the ID with a user:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file document is linked to the ID passed as parameter, or the user is not the owner
+   * of the file, return an error Not found with a status
+   * code 404
+   * - To share a file, you must specify:
+   * + email: the email of the recipient (or userId: the ID of the recipient)
+   * + role: either viewer (list, show and download) or editor (also upload, rename, move,
+   * copy into and delete)
+   * - If the email and the userId are missing, return an error Missing email with a status
+   * code 400 - the email must be a string (and the userId a valid ID)
+   * - If the role is missing or not part of the list of accepted roles, return an error Missing
+   * role with a status code 400
+   * - If no user is found for the recipient, return an error User not found with a status
+   * code 400
+   * - If the recipient already owns the file, return an error Cannot share with the owner with
+   * a status code 400
+   * - Otherwise:
+   * + Add the share in the collection shares, or update its role if the file is already
+   * shared with the recipient
+   * + Return the share with a status code 201 (200 if updated)
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async postShare(req, res) {
+    const { user } = req;
+
+    const fileDocument = await findOwnedFile(user, req.params.id);
+    if (!fileDocument) throw new HttpError(404, 'Not found');
+
+    const { email, userId, role } = req.body;
+    if (!email && !userId) throw new HttpError(400, 'Missing email');
+    if (email && typeof email !== 'string') throw new HttpError(400, 'Missing email');
+    if (!role || !['viewer', 'editor'].includes(role)) throw new HttpError(400, 'Missing role');
+
+    let recipient = null;
+    if (email) {
+      recipient = await DBClient.db.collection('users').findOne({ email });
+    } else if (ObjectId.isValid(userId)) {
+      recipient = await DBClient.db.collection('users').findOne({ _id: ObjectId(userId) });
+    }
+    if (!recipient) throw new HttpError(400, 'User not found');
+    if (await fileAccess(recipient, fileDocument) === 'owner') {
+      throw new HttpError(400, 'Cannot share with the owner');
+    }
+
+    const shares = DBClient.db.collection('shares');
+    const { upsertedCount } = await shares.updateOne(
+      { fileId: fileDocument._id, userId: recipient._id },
+      { $set: { role }, $setOnInsert: { sharedBy: user._id, createdAt: new Date() } },
+      { upsert: true },
+    );
+    const share = await shares.findOne({ fileId: fileDocument._id, userId: recipient._id });
+
+    return res.status(upsertedCount ? 201 : 200).send(shareResponse(share, recipient));
+  }
+
+  /**
+   * DELETE /files/:id/shares/:userId should revoke the share of the file document with a user:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file document is linked to the ID passed as parameter, or the user is not the owner
+   * of the file, return an error Not found with a status
+   * code 404
+   * - If the file is not shared with this user, return an error Not found with a status code 404
+   * - Otherwise, remove the share and return nothing with a status code 204
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async deleteShare(req, res) {
+    const { user } = req;
+
+    const fileDocument = await findOwnedFile(user, req.params.id);
+    if (!fileDocument) throw new HttpError(404, 'Not found');
+
+    const { deletedCount } = await DBClient.db
+      .collection('shares')
+      .deleteOne({ fileId: fileDocument._id, userId: ObjectId(req.params.userId) });
+    if (!deletedCount) throw new HttpError(404, 'Not found');
+
+    return res.status(204).send();
+  }
+
+  /**
+   * GET /shared should return the files shared with the user:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - Return the list of files and folders shared directly with the user (not their
+   * descendants, listed with GET /files?parentId=<id>), with the role granted and the
+   * date of the share (sharedAt)
+   * - The files in the trash are not listed, nor the ones outside of the folder of an API key
+   * restricted to a folder
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getShared(req, res) {
+    const { user } = req;
+
+    const shares = await DBClient.db
+      .collection('shares')
+      .find({ userId: user._id })
+      .toArray();
+    const files = await DBClient.db
+      .collection('files')
+      .find({ _id: { $in: shares.map((share) => share.fileId) }, trashedAt: null })
+      .toArray();
+    const allowed = await Promise.all(files.map((fileDocument) => keyAllows(user, fileDocument)));
+
+    return res.status(200).send(files.filter((_, index) => allowed[index]).map((fileDocument) => {
+      const share = shares.find((item) => item.fileId.toString() === fileDocument._id.toString());
+      return { ...fileResponse(fileDocument), role: share.role, sharedAt: share.createdAt };
+    }));
+  }
+}
+
+module.exports = SharesController;
@@ -0,0 +1,128 @@
+import DBClient from '../utils/db';
+import { HttpError } from '../utils/errors';
+import { fileResponse } from '../utils/files';
+import { restoreFile, deleteForever, findTrashed } from '../utils/trash';
+import { keyAllows } from '../utils/apiKeys';
+
+const { ObjectId } = require('mongodb');
+
+/**
+ * Retrieves the files of the user trash, as they were moved to the trash (with an API key
+ * restricted to a folder, only the files of this folder).
+ * @param {Object} user - Owner of the trash.
+ * @param {Object} query - (optional) Filter on the trashed files.
+ * @returns {Promise<Array<Object>>}
+ */
+const findUserTrash = async (user, query = {}) => {
+  const trashed = await findTrashed({ ...query, userId: user._id });
+  const allowed = await Promise.all(trashed.map((fileDocument) => keyAllows(user, fileDocument)));
+  return trashed.filter((fileDocument, index) => allowed[index]);
+};
+
+/**
+ * Retrieves a file of the user trash, as it was moved to the trash.
+ * @param {Object} user - Owner of the trash.
+ * @param {String} id - ID of the file.
+ * @returns {Promise<Object | null>}
+ */
+const findTrashedFile = async (user, id) => {
+  const [fileDocument] = await findUserTrash(user, { _id: ObjectId(id) });
+  return fileDocument || null;
+};
+
+/**
+ * A file TrashController.js that contains the endpoints of the trash bin.
+ * Only the files moved to the trash with DELETE /files/:id are listed: their
+ * descendants come and go with them.
+ */
+class TrashController {
+  /**
+   * GET /trash should return the files of the user moved to the trash:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - Return the list of files with the date they were moved to the trash (trashedAt)
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getIndex(req, res) {
+    const { user } = req;
+
+    const trashed = await findUserTrash(user);
+
+    return res.status(200).send(trashed.map((fileDocument) => ({
+      ...fileResponse(fileDocument),
+      trashedAt: fileDocument.trashedAt,
+    })));
+  }
+
+  /**
+   * POST /trash/:id/restore should restore a file of the trash:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file of the user trash is linked to the ID, return an error Not found with a
+   * status code 404
+   * - Otherwise:
+   * + Restore the file with the descendants trashed with it
+   * + If its parent is no longer available, restore it at the root
+   * + Return the file document with a status code 200
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async postRestore(req, res) {
+    const { user } = req;
+
+    const fileDocument = await findTrashedFile(user, req.params.id);
+    if (!fileDocument) throw new HttpError(404, 'Not found');
+
+    await restoreFile(fileDocument);
+    const restored = await DBClient.db
+      .collection('files')
+      .findOne({ _id: fileDocument._id });
+
+    return res.status(200).send(fileResponse(restored));
+  }
+
+  /**
+   * DELETE /trash/:id should delete permanently a file of the trash:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no file of the user trash is linked to the ID, return an error Not found with a
+   * status code 404
+   * - Otherwise:
+   * + Delete the file documents of the file and its descendants, their content and
+   * their thumbnails
+   * + Return nothing with a status code 204
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async deleteFile(req, res) {
+    const { user } = req;
+
+    const fileDocument = await findTrashedFile(user, req.params.id);
+    if (!fileDocument) throw new HttpError(404, 'Not found');
+
+    await deleteForever(fileDocument);
+
+    return res.status(204).send();
+  }
+
+  /**
+   * DELETE /trash should delete permanently all the files of the user trash:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - Otherwise, delete every file of the trash like DELETE /trash/:id and return nothing
+   * with a status code 204
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async deleteIndex(req, res) {
+    const { user } = req;
+
+    const trashed = await findUserTrash(user);
+    await Promise.all(trashed.map(deleteForever));
+
+    return res.status(204).send();
+  }
+}
+
+module.exports = TrashController;
@@ -0,0 +1,355 @@
+import { v4 as uuidv4 } from 'uuid';
+import RedisClient from '../utils/redis';
+import { HttpError } from '../utils/errors';
+import { maxUploadSize } from '../utils/multipart';
+import { storeBlob, hashFile } from '../utils/blobs';
+import {
+  storingFolder, insertFileWithinQuota, fileResponse,
+} from '../utils/files';
+import { checkParentAccess } from '../utils/shares';
+import { checkQuota } from '../utils/quotas';
+import { sniffMime, readHeader } from '../utils/mime';
+
+const fs = require('fs');
+
+/**
+ * Lifetime in seconds of an upload session without activity:
+ * - from the environment variable UPLOAD_SESSION_TTL
+ * - default: 24 hours
+ * @returns {Number}
+ */
+const sessionTTL = () => Number(process.env.UPLOAD_SESSION_TTL) || 86400;
+
+/**
+ * Lifetime in seconds of the lock taken by the finalization of an upload session (released
+ * at its end, the lifetime only matters if the server stops meanwhile).
+ */
+const finalizeLockTTL = 15 * 60;
+
+/**
+ * The folder where the content of the upload sessions is stored until finalized.
+ * @returns {String}
+ */
+const partsFolder = () => `${storingFolder()}/uploads`;
+
+/**
+ * Merges the chunks received for an upload session in sorted, non-overlapping byte ranges.
+ * @param {Object | null} chunks - Redis hash of the chunks: index -> <offset>:<length>.
+ * @returns {Array<Array<Number>>} List of [start, end[ ranges.
+ */
+const receivedRanges = (chunks) => {
+  const ranges = Object.values(chunks || {})
+    .map((chunk) => chunk.split(':').map(Number))
+    .filter(([, length]) => length > 0)
+    .map(([offset, length]) => [offset, offset + length])
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  ranges.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+  return merged;
+};
+
+/**
+ * Retrieves an upload session of the user from Redis.
+ * @param {String} id - ID of the upload session.
+ * @param {Object} user - Owner of the session.
+ * @returns {Promise<Object | null>}
+ */
+const loadSession = async (id, user) => {
+  const data = await RedisClient.get(`upload_${id}`);
+  if (!data) return null;
+
+  const session = JSON.parse(data);
+  if (session.userId !== user._id.toString()) return null;
+  return session;
+};
+
+/**
+ * The public representation of an upload session with the byte ranges received so far.
+ * @param {Object} session - Upload session.
+ * @returns {Promise<Object>}
+ */
+const sessionResponse = async (session) => {
+  const received = receivedRanges(await RedisClient.hgetall(`upload_${session.id}_chunks`));
+  const receivedBytes = received.reduce((total, [start, end]) => total + end - start, 0);
+
+  return {
+    id: session.id,
+    name: session.name,
+    type: session.type,
+    isPublic: session.isPublic,
+    parentId: session.parentId,
+    size: session.size,
+    received,
+    receivedBytes,
+    complete: receivedBytes === session.size,
+  };
+};
+
+/**
+ * Removes the stored content of the upload sessions which expired in Redis.
+ * @returns {Promise<void>}
+ */
+const removeExpiredParts = async () => {
+  let names;
+  try {
+    names = await fs.promises.readdir(partsFolder());
+  } catch (error) {
+    return;
+  }
+
+  await Promise.all(names.map(async (name) => {
+    if (await RedisClient.get(`upload_${name}`)) return;
+    await fs.promises.unlink(`${partsFolder()}/${name}`).catch(() => {});
+  }));
+};
+
+/**
+ * Writes the body of the request in a file at a given offset.
+ * @param {Request} req - Express request object.
+ * @param {String} path - File to write.
+ * @param {Number} offset - Position of the first byte.
+ * @param {Number} maxLength - Maximum number of bytes accepted.
+ * @returns {Promise<Number>} The number of bytes written.
+ */
+const writeChunk = (req, path, offset, maxLength) => new Promise((resolve, reject) => {
+  const output = fs.createWriteStream(path, { flags: 'r+', start: offset });
+  let length = 0;
+
+  const fail = (error) => {
+    req.unpipe(output);
+    req.resume();
+    output.destroy();
+    reject(error);
+  };
+
+  req.on('data', (chunk) => {
+    length += chunk.length;
+    if (length > maxLength) fail(new Error('Chunk exceeds the upload size'));
+  });
+  req.on('aborted', () => fail(new Error('Request aborted')));
+  output.on('error', fail);
+  output.on('finish', () => resolve(length));
+  req.pipe(output);
+});
+
+/**
+ * A file UploadsController.js that contains the endpoints of the resumable uploads:
+ * a file is sent as numbered chunks in an upload session, then finalized as a
+ * file document like POST /files does.
+ */
+class UploadsController {
+  /**
+   * POST /uploads should create a new upload session:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - To create an upload session, you must specify:
+   * + name: as filename
+   * + type: either file or image
+   * + size: the total size of the file in bytes
+   * + parentId: (optional) as ID of the parent (default: 0 -> the root)
+   * + isPublic: (optional) as boolean to define if the file is public or not (default: false)
+   * - name, type, parentId are validated with the same errors as POST /files
+   * - If the size is missing or not a positive integer, return an error Missing size with a
+   * status code 400
+   * - If the size is bigger than MAX_UPLOAD_SIZE, return an error File too large with a status
+   * code 413
+   * - If the size doesn't fit in the quotas of the user, return an error Storage quota exceeded
+   * or File quota exceeded with a status code 403
+   * - The session is stored in Redis with the key upload_<id> and expires after
+   * UPLOAD_SESSION_TTL seconds (default: 24 hours) without activity
+   * - Return the session with a status code 201
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async postSession(req, res) {
+    const { user } = req;
+
+    const { name } = req.body;
+    if (!name) throw new HttpError(400, 'Missing name');
+
+    const { type } = req.body;
+    if (!type || !['file', 'image'].includes(type)) throw new HttpError(400, 'Missing type');
+
+    const size = Number(req.body.size);
+    if (!Number.isInteger(size) || size < 0) throw new HttpError(400, 'Missing size');
+    if (size > maxUploadSize()) throw new HttpError(413, 'File too large');
+    const quotaError = await checkQuota(user, size);
+    if (quotaError) throw new HttpError(403, quotaError);
+
+    const isPublic = req.body.isPublic || false;
+    let parentId = req.body.parentId || 0;
+    parentId = parentId === '0' ? 0 : parentId;
+    const parentError = await checkParentAccess(parentId, user);
+    if (parentError) throw new HttpError(400, parentError);
+
+    await removeExpiredParts();
+
+    const session = {
+      id: uuidv4(),
+      userId: user._id.toString(),
+      name,
+      type,
+      isPublic,
+      parentId,
+      size,
+    };
+    await RedisClient.set(`upload_${session.id}`, JSON.stringify(session), sessionTTL());
+
+    await fs.promises.mkdir(partsFolder(), { recursive: true });
+    await fs.promises.writeFile(`${partsFolder()}/${session.id}`, '');
+
+    return res.status(201).send(await sessionResponse(session));
+  }
+
+  /**
+   * GET /uploads/:id should return the upload session with the byte ranges received:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no session of the user is linked to the ID (or it expired), return an error Not found
+   * with a status code 404
+   * - Otherwise, return the session with received as the list of [start, end[ ranges
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async getSession(req, res) {
+    const { user } = req;
+
+    const session = await loadSession(req.params.id, user);
+    if (!session) throw new HttpError(404, 'Not found');
+
+    return res.status(200).send(await sessionResponse(session));
+  }
+
+  /**
+   * PUT /uploads/:id/chunks/:index should store a chunk of the file:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no session of the user is linked to the ID (or it expired), return an error Not found
+   * with a status code 404
+   * - index is the number of the chunk, sending again the same index replaces the chunk
+   * - The offset of the chunk in the file is given by the header Upload-Offset or the query
+   * parameter offset:
+   * + If missing, return an error Missing offset with a status code 400
+   * + If not an integer between 0 and the size of the file, return an error Invalid offset
+   * with a status code 400
+   * - The body of the request is the raw content of the chunk (application/octet-stream)
+   * - If the chunk goes past the size of the file, return an error Chunk exceeds the upload size
+   * with a status code 400
+   * - The expiration of the session is reset
+   * - Return the session with a status code 200
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async putChunk(req, res) {
+    const { user } = req;
+
+    const session = await loadSession(req.params.id, user);
+    if (!session) throw new HttpError(404, 'Not found');
+
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0) throw new HttpError(400, 'Invalid chunk index');
+
+    const rawOffset = req.header('Upload-Offset') || req.query.offset;
+    if (rawOffset === undefined) throw new HttpError(400, 'Missing offset');
+    const offset = Number(rawOffset);
+    if (!Number.isInteger(offset) || offset < 0 || offset > session.size) throw new HttpError(400, 'Invalid offset');
+
+    let length;
+    try {
+      length = await writeChunk(req, `${partsFolder()}/${session.id}`, offset, session.size - offset);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+
+    const chunksKey = `upload_${session.id}_chunks`;
+    await RedisClient.hset(chunksKey, index, `${offset}:${length}`);
+    await RedisClient.set(`upload_${session.id}`, JSON.stringify(session), sessionTTL());
+    await RedisClient.expire(chunksKey, sessionTTL());
+
+    return res.status(200).send(await sessionResponse(session));
+  }
+
+  /**
+   * POST /uploads/:id/finalize should create the file from the upload session:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - If no session of the user is linked to the ID (or it expired), return an error Not found
+   * with a status code 404
+   * - If some bytes of the file were not received, return an error Upload incomplete with a
+   * status code 400
+   * - If the parent is no longer valid, return the same errors as POST /files
+   * - If the session is already being finalized by another request, return an error Upload
+   * being finalized with a status code 409
+   * - If the file no longer fits in the quotas of the user, return an error Storage quota
+   * exceeded or File quota exceeded with a status code 403 (the session is kept)
+   * - Otherwise:
+   * + Store the content as a blob named by its SHA-256 hash, with the same metadata as
+   * POST /files (size, checksum, mimeType, createdAt and updatedAt)
+   * + Add the file document in the collection files and the thumbnail job in fileQueue,
+   * the same way as POST /files
+   * + Remove the session and return the new file with a status code 201 - the session is
+   * only removed once the file is added: if the finalization fails, it can be retried
+   * @param {Request} req - Express request object.
+   * @param {Response} res - Express response object.
+   */
+  static async postFinalize(req, res) {
+    const { user } = req;
+
+    const session = await loadSession(req.params.id, user);
+    if (!session) throw new HttpError(404, 'Not found');
+
+    const { complete } = await sessionResponse(session);
+    if (!complete) throw new HttpError(400, 'Upload incomplete');
+
+    const parentError = await checkParentAccess(session.parentId, user);
+    if (parentError) throw new HttpError(400, parentError);
+
+    const lockKey = `upload_${session.id}_finalize`;
+    if (!await RedisClient.setnx(lockKey, user._id.toString(), finalizeLockTTL)) {
+      throw new HttpError(409, 'Upload being finalized');
+    }
+
+    const partPath = `${partsFolder()}/${session.id}`;
+    const blobPath = `${storingFolder()}/${uuidv4()}`;
+    try {
+      const quotaError = await checkQuota(user, session.size);
+      if (quotaError) throw new HttpError(403, quotaError);
+
+      let hash;
+      try {
+        await fs.promises.truncate(partPath, session.size);
+        hash = await hashFile(partPath);
+        await fs.promises.copyFile(partPath, blobPath);
+      } catch (error) {
+        throw new HttpError(404, 'Not found');
+      }
+
+      const dbFile = {
+        userId: user._id,
+        name: session.name,
+        type: session.type,
+        isPublic: session.isPublic,
+        parentId: session.parentId,
+        mimeType: sniffMime(await readHeader(partPath), session.name),
+        ...await storeBlob(blobPath, hash, session.size),
+      };
+      await insertFileWithinQuota(dbFile, user);
+
+      await RedisClient.del(`upload_${session.id}`);
+      await RedisClient.del(`upload_${session.id}_chunks`);
+      await fs.promises.unlink(partPath).catch(() => {});
+
+      return res.status(201).send(fileResponse(dbFile));
+    } finally {
+      await fs.promises.unlink(blobPath).catch(() => {});
+      await RedisClient.del(lockKey);
+    }
+  }
+}
+
+module.exports = UploadsController;
@@ -1,43 +1,77 @@
-import sha1 from 'sha1';
 import DBClient from '../utils/db';
 import RedisClient from '../utils/redis';
+import { revokeUserTokens } from '../utils/auth';
+import { hashPassword, verifyPassword, checkPasswordStrength } from '../utils/passwords';
+import { sendMail } from '../utils/mail';
+import { deleteUserFiles } from '../utils/trash';
+import { HttpError } from '../utils/errors';
+import { userUsage, userQuota } from '../utils/quotas';
 
 const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+
+/**
+ * Lifetime in seconds of a password reset token:
+ * - from the environment variable PASSWORD_RESET_TTL
+ * - default: 1 hour
+ * @returns {Number}
+ */
+const resetTTL = () => Number(process.env.PASSWORD_RESET_TTL) || 3600;
+
+/**
+ * The Redis key of a password reset token: only its SHA-256 is stored.
+ * @param {String} token - Reset token.
+ * @returns {String}
+ */
+const resetKey = (token) => `reset_${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+/**
+ * Checks the format of an email: a local part, @ and a domain with a dot, without spaces or
+ * slashes.
+ * @param {*} email - Value received.
+ * @returns {boolean}
+ */
+const validEmail = (email) => typeof email === 'string'
+  && email.length <= 254
+  && /^[^\s@/\\]+@[^\s@/\\]+\.[^\s@/\\]+$/.test(email);
 
 class UsersController {
   /**
-   * GET /connect should sign-in the user by generating a new authentication
-   * token:
-   * - By using the header Authorization and the technique of the Basic auth
-   * (Base64 of the <email>:<password>), find the user associate to this
-   * email and with this password (reminder: we are storing the SHA1 of the
-   * password)
-   * - If no user has been found, return an error Unauthorized with a status
-   * code 401
-   * - Otherwise:
-   * + Generate a random string (using uuidv4) as token
-   * + Create a key: auth_<token>
-   * + Use this key for storing in Redis (by using the redisClient
-   * create previously) the user ID for 24 hours
-   * + Return this token: { "token": "155342df-2399-41da-9e8c-458b6ac52a0c" }
-   * with a status code 200
+   * POST /users should create a new user in DB:
+   * - To create a user, you must specify an email and a password
+   * - If the email is missing, return an error Missing email with a status code 400
+   * - If the email is not a valid email address, return an error Invalid email with a status
+   * code 400
+   * - If the password is missing, return an error Missing password with a status code 400
+   * - If the password doesn't follow the password-strength rules (PASSWORD_MIN_LENGTH, default:
+   * 8 characters, and PASSWORD_REQUIRE_LOWERCASE, PASSWORD_REQUIRE_UPPERCASE,
+   * PASSWORD_REQUIRE_DIGIT, PASSWORD_REQUIRE_SYMBOL), return the rule not followed as error
+   * (like Password must be at least 8 characters) with a status code 400
+   * - If the email already exists in DB, return an error Already exist with a status code 400
+   * - The password must be stored after being hashed with scrypt and a random salt
+   * - The endpoint is returning the new user with only the email and the id (auto generated by
+   * MongoDB) with a status code 201
    */
   static async postNew(request, response) {
     const userEmail = request.body.email;
-    if (!userEmail) return response.status(400).send({ error: 'Missing email' });
+    if (!userEmail) throw new HttpError(400, 'Missing email');
+    if (!validEmail(userEmail)) throw new HttpError(400, 'Invalid email');
 
     const userPassword = request.body.password;
-    if (!userPassword) return response.status(400).send({ error: 'Missing password' });
+    if (!userPassword) throw new HttpError(400, 'Missing password');
+
+    const passwordError = checkPasswordStrength(String(userPassword));
+    if (passwordError) throw new HttpError(400, passwordError, 'WEAK_PASSWORD');
 
     const oldUserEmail = await DBClient.db
       .collection('users')
       .findOne({ email: userEmail });
-    if (oldUserEmail) return response.status(400).send({ error: 'Already exist' });
+    if (oldUserEmail) throw new HttpError(400, 'Already exist');
 
-    const shaUserPassword = sha1(userPassword);
+    const hashedPassword = await hashPassword(String(userPassword));
     const result = await DBClient.db
       .collection('users')
-      .insertOne({ email: userEmail, password: shaUserPassword });
+      .insertOne({ email: userEmail, password: hashedPassword });
 
     return response
       .status(201)
@@ -51,19 +85,168 @@ class UsersController {
    * + Otherwise, return the user object (email and id only)
    */
   static async getMe(request, response) {
-    const token = request.header('X-Token') || null;
-    if (!token) return response.status(401).send({ error: 'Unauthorized' });
+    const { user } = request;
+    delete user.password;
+
+    return response.status(200).send({ id: user._id, email: user.email });
+  }
+
+  /**
+   * GET /users/me/usage should return the storage used by the user:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - Return the usage of the user:
+   * + bytes: total size of the contents of the user (the files in the trash are counted until
+   * deleted forever)
+   * + files: number of files and images of the user
+   * + types: the number of files and the size for each type (folder, file, image)
+   * + quota: the quotas of the user, bytes and files (null for no limit)
+   */
+  static async getUsage(request, response) {
+    const { user } = request;
+
+    const usage = await userUsage(user._id);
+
+    return response.status(200).send({ ...usage, quota: userQuota(user) });
+  }
+
+  /**
+   * PUT /users/me/password should change the password of the user:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - To change the password, you must specify:
+   * + currentPassword: the password used today
+   * + newPassword: the new password
+   * - If one of them is missing, return an error Missing password with a status code 400
+   * - If the current password is wrong, return an error Wrong password with a status code 403
+   * - If the new password doesn't follow the password-strength rules, return the same errors as
+   * POST /users
+   * - Otherwise:
+   * + Store the scrypt hash of the new password
+   * + Revoke all the authentication tokens of the user (auth_<token>), including the one used
+   * + Return nothing with a status code 204
+   */
+  static async putPassword(request, response) {
+    const { user } = request;
+
+    const { currentPassword, newPassword } = request.body;
+    if (!currentPassword || !newPassword) throw new HttpError(400, 'Missing password');
+
+    if (!await verifyPassword(String(currentPassword), user.password)) {
+      throw new HttpError(403, 'Wrong password');
+    }
+
+    const passwordError = checkPasswordStrength(String(newPassword));
+    if (passwordError) throw new HttpError(400, passwordError, 'WEAK_PASSWORD');
+
+    const password = await hashPassword(String(newPassword));
+    await DBClient.db
+      .collection('users')
+      .updateOne({ _id: user._id }, { $set: { password } });
+    await revokeUserTokens(user._id);
 
-    const redisToken = await RedisClient.get(`auth_${token}`);
-    if (!redisToken) return response.status(401).send({ error: 'Unauthorized' });
+    return response.status(204).send();
+  }
+
+  /**
+   * POST /users/password-reset should send a password reset token by email:
+   * - If the email is missing, return an error Missing email with a status code 400
+   * - If the email is not a valid email address, return an error Invalid email with a status
+   * code 400
+   * - If a user exists with this email:
+   * + Generate a random token, stored in Redis (only its SHA-256) with the user ID for
+   * PASSWORD_RESET_TTL seconds (default: 1 hour)
+   * + Send the token to the email with the mail transport (MAIL_TRANSPORT)
+   * - Return nothing with a status code 202, whether the user exists or not
+   */
+  static async postPasswordReset(request, response) {
+    const { email } = request.body;
+    if (!email) throw new HttpError(400, 'Missing email');
+    if (!validEmail(email)) throw new HttpError(400, 'Invalid email');
 
     const user = await DBClient.db
       .collection('users')
-      .findOne({ _id: ObjectId(redisToken) });
-    if (!user) return response.status(401).send({ error: 'Unauthorized' });
-    delete user.password;
+      .findOne({ email });
+    if (user) {
+      const token = crypto.randomBytes(32).toString('hex');
+      await RedisClient.set(resetKey(token), user._id.toString(), resetTTL());
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Use this token to reset your password: ${token}\n`
+          + `It expires in ${Math.round(resetTTL() / 60)} minutes.`,
+      });
+    }
 
-    return response.status(200).send({ id: user._id, email: user.email });
+    return response.status(202).send();
+  }
+
+  /**
+   * PUT /users/password-reset should set a new password with a reset token:
+   * - To reset the password, you must specify:
+   * + token: the token received by email
+   * + password: the new password
+   * - If the token is missing, unknown or expired, return an error Invalid token with a status
+   * code 400
+   * - If the password is missing or doesn't follow the password-strength rules, return the same
+   * errors as POST /users
+   * - Otherwise:
+   * + Store the scrypt hash of the new password and remove the token
+   * + Revoke all the authentication tokens of the user (auth_<token>)
+   * + Return nothing with a status code 204
+   */
+  static async putPasswordReset(request, response) {
+    const { token, password } = request.body;
+    if (!token) throw new HttpError(400, 'Invalid token');
+
+    const userId = await RedisClient.get(resetKey(String(token)));
+    if (!userId) throw new HttpError(400, 'Invalid token');
+
+    if (!password) throw new HttpError(400, 'Missing password');
+    const passwordError = checkPasswordStrength(String(password));
+    if (passwordError) throw new HttpError(400, passwordError, 'WEAK_PASSWORD');
+
+    await RedisClient.del(resetKey(String(token)));
+    const hashedPassword = await hashPassword(String(password));
+    await DBClient.db
+      .collection('users')
+      .updateOne({ _id: ObjectId(userId) }, { $set: { password: hashedPassword } });
+    await revokeUserTokens(userId);
+
+    return response.status(204).send();
+  }
+
+  /**
+   * DELETE /users/me should delete the account of the user:
+   * - Retrieve the user based on the token:
+   * + If not found, return an error Unauthorized with a status code 401
+   * - The password must be sent again as password:
+   * + If missing, return an error Missing password with a status code 400
+   * + If wrong, return an error Wrong password with a status code 403
+   * - Otherwise:
+   * + Delete permanently all the files of the user (in the trash or not) with their blobs,
+   * shares and links, like DELETE /trash/:id
+   * + Remove the shares granted to the user, the links and the API keys created by the user
+   * + Revoke all the authentication tokens of the user and remove the user document
+   * + Return nothing with a status code 204
+   */
+  static async deleteMe(request, response) {
+    const { user } = request;
+
+    const { password } = request.body;
+    if (!password) throw new HttpError(400, 'Missing password');
+    if (!await verifyPassword(String(password), user.password)) {
+      throw new HttpError(403, 'Wrong password');
+    }
+
+    await deleteUserFiles(user._id);
+    await DBClient.db.collection('shares').deleteMany({ userId: user._id });
+    await DBClient.db.collection('links').deleteMany({ userId: user._id });
+    await DBClient.db.collection('apiKeys').deleteMany({ userId: user._id });
+    await revokeUserTokens(user._id);
+    await DBClient.db.collection('users').deleteOne({ _id: user._id });
+
+    return response.status(204).send();
   }
 }
 
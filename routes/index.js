@@ -1,33 +1,111 @@
 import AppController from '../controllers/AppController';
 import UsersController from '../controllers/UsersController';
 import AuthController from '../controllers/AuthController';
+import SessionsController from '../controllers/SessionsController';
+import ApiKeysController from '../controllers/ApiKeysController';
 import FilesController from '../controllers/FilesController';
+import UploadsController from '../controllers/UploadsController';
+import TrashController from '../controllers/TrashController';
+import SharesController from '../controllers/SharesController';
+import LinksController from '../controllers/LinksController';
+import AdminController from '../controllers/AdminController';
+import JobsController from '../controllers/JobsController';
+import {
+  requestId, authenticate, requireAdmin, validateObjectId, notFound, errorHandler,
+} from '../utils/middlewares';
 
 const express = require('express');
 
+/**
+ * Adds the routes to the Express app, with the middlewares:
+ * - requestId: every request is tagged with an ID (header X-Request-Id)
+ * - authenticate(scope): the user of the header X-Token is set as request.user, or the
+ * request fails with Unauthorized (401)
+ * - requireAdmin: the request fails with Forbidden (403) if the user is not an admin
+ * - validateObjectId(...params): the route parameters which are not ObjectIds fail with Not
+ * found (404)
+ * - errorHandler: the errors (HttpError thrown by the controllers or any other error) are
+ * returned as JSON { error, code, requestId }
+ * @param {Express} app - Express app.
+ */
 const router = (app) => {
   const route = express.Router();
+  app.use(requestId);
   app.use(express.json());
   app.use('/', route);
+  app.use(notFound);
+  app.use(errorHandler);
 
   route.get('/status', (request, response) => AppController.getStatus(request, response));
-  route.get('/stats', (request, response) => AppController.getStats(request, response));
+  route.get('/stats', (request, response, next) => AppController.getStats(request, response).catch(next));
 
-  route.post('/users', (request, response) => UsersController.postNew(request, response));
+  route.post('/users', (request, response, next) => UsersController.postNew(request, response).catch(next));
 
-  route.get('/connect', (request, response) => AuthController.getConnect(request, response));
-  route.get('/disconnect', (request, response) => AuthController.getDisconnect(request, response));
-  route.get('/users/me', (request, response) => UsersController.getMe(request, response));
+  route.get('/connect', (request, response, next) => AuthController.getConnect(request, response).catch(next));
+  route.get('/disconnect', (request, response, next) => AuthController.getDisconnect(request, response).catch(next));
+  route.get('/sessions', authenticate('admin'), (request, response, next) => SessionsController.getIndex(request, response).catch(next));
+  route.delete('/sessions', authenticate('admin'), (request, response, next) => SessionsController.deleteOthers(request, response).catch(next));
+  route.delete('/sessions/:id', authenticate('admin'), (request, response, next) => SessionsController.deleteSession(request, response).catch(next));
+  route.post('/keys', authenticate('admin'), (request, response, next) => ApiKeysController.postKey(request, response).catch(next));
+  route.get('/keys', authenticate('admin'), (request, response, next) => ApiKeysController.getIndex(request, response).catch(next));
+  route.delete('/keys/:id', authenticate('admin'), validateObjectId('id'), (request, response, next) => ApiKeysController.deleteKey(request, response).catch(next));
+  route.get('/users/me', authenticate('read'), (request, response, next) => UsersController.getMe(request, response).catch(next));
+  route.get('/users/me/usage', authenticate('read'), (request, response, next) => UsersController.getUsage(request, response).catch(next));
+  route.delete('/users/me', authenticate('admin'), (request, response, next) => UsersController.deleteMe(request, response).catch(next));
+  route.put('/users/me/password', authenticate('admin'), (request, response, next) => UsersController.putPassword(request, response).catch(next));
+  route.post('/users/password-reset', (request, response, next) => UsersController.postPasswordReset(request, response).catch(next));
+  route.put('/users/password-reset', (request, response, next) => UsersController.putPasswordReset(request, response).catch(next));
 
-  route.post('/files', (request, response) => FilesController.postUpload(request, response));
+  route.post('/files', authenticate('write'), (request, response, next) => FilesController.postUpload(request, response).catch(next));
 
-  route.get('/files/:id', (request, response) => FilesController.getShow(request, response));
-  route.get('/files', (request, response) => FilesController.getIndex(request, response));
+  route.get('/files/zip', authenticate('read', { optional: true }), (request, response, next) => FilesController.getZip(request, response).catch(next));
+  route.get('/files/:id', authenticate('read'), validateObjectId('id'), (request, response, next) => FilesController.getShow(request, response).catch(next));
+  route.get('/files/:id/path', authenticate('read'), validateObjectId('id'), (request, response, next) => FilesController.getPath(request, response).catch(next));
+  route.get('/files/:id/tree', authenticate('read'), validateObjectId('id'), (request, response, next) => FilesController.getTree(request, response).catch(next));
+  route.get('/files', authenticate('read'), (request, response, next) => FilesController.getIndex(request, response).catch(next));
 
-  route.put('/files/:id/publish', (request, response) => FilesController.putPublish(request, response));
-  route.put('/files/:id/unpublish', (request, response) => FilesController.putUnpublish(request, response));
+  route.put('/files/:id/publish', authenticate('publish'), validateObjectId('id'), (request, response, next) => FilesController.putPublish(request, response).catch(next));
+  route.put('/files/:id/unpublish', authenticate('publish'), validateObjectId('id'), (request, response, next) => FilesController.putUnpublish(request, response).catch(next));
 
-  route.get('/files/:id/data', (request, response) => FilesController.getFile(request, response));
+  route.get('/files/:id/data', authenticate('read', { optional: true }), validateObjectId('id'), (request, response, next) => FilesController.getFile(request, response).catch(next));
+  route.put('/files/:id/data', authenticate('write'), validateObjectId('id'), (request, response, next) => FilesController.putData(request, response).catch(next));
+  route.get('/files/:id/versions', authenticate('read'), validateObjectId('id'), (request, response, next) => FilesController.getVersions(request, response).catch(next));
+  route.get('/files/:id/versions/:version/data', authenticate('read', { optional: true }), validateObjectId('id'), (request, response, next) => FilesController.getVersionData(request, response).catch(next));
+  route.post('/files/:id/versions/:version/restore', authenticate('write'), validateObjectId('id'), (request, response, next) => FilesController.postRestoreVersion(request, response).catch(next));
+
+  route.post('/files/:id/copy', authenticate('write'), validateObjectId('id'), (request, response, next) => FilesController.postCopy(request, response).catch(next));
+  route.patch('/files/:id', authenticate('write'), validateObjectId('id'), (request, response, next) => FilesController.patchFile(request, response).catch(next));
+  route.delete('/files/:id', authenticate('write'), validateObjectId('id'), (request, response, next) => FilesController.deleteFile(request, response).catch(next));
+
+  route.get('/files/:id/shares', authenticate('read'), validateObjectId('id'), (request, response, next) => SharesController.getIndex(request, response).catch(next));
+  route.post('/files/:id/shares', authenticate('publish'), validateObjectId('id'), (request, response, next) => SharesController.postShare(request, response).catch(next));
+  route.delete('/files/:id/shares/:userId', authenticate('publish'), validateObjectId('id', 'userId'), (request, response, next) => SharesController.deleteShare(request, response).catch(next));
+  route.get('/shared', authenticate('read'), (request, response, next) => SharesController.getShared(request, response).catch(next));
+
+  route.post('/files/:id/links', authenticate('publish'), validateObjectId('id'), (request, response, next) => LinksController.postLink(request, response).catch(next));
+  route.get('/links', authenticate('read'), (request, response, next) => LinksController.getIndex(request, response).catch(next));
+  route.delete('/links/:id', authenticate('publish'), validateObjectId('id'), (request, response, next) => LinksController.deleteLink(request, response).catch(next));
+  route.get('/links/:token/data', (request, response, next) => LinksController.getFile(request, response).catch(next));
+  route.post('/links/:token/data', (request, response, next) => LinksController.getFile(request, response).catch(next));
+
+  route.get('/trash', authenticate('read'), (request, response, next) => TrashController.getIndex(request, response).catch(next));
+  route.delete('/trash', authenticate('write'), (request, response, next) => TrashController.deleteIndex(request, response).catch(next));
+  route.post('/trash/:id/restore', authenticate('write'), validateObjectId('id'), (request, response, next) => TrashController.postRestore(request, response).catch(next));
+  route.delete('/trash/:id', authenticate('write'), validateObjectId('id'), (request, response, next) => TrashController.deleteFile(request, response).catch(next));
+
+  route.post('/uploads', authenticate('write'), (request, response, next) => UploadsController.postSession(request, response).catch(next));
+  route.get('/uploads/:id', authenticate('write'), (request, response, next) => UploadsController.getSession(request, response).catch(next));
+  route.put('/uploads/:id/chunks/:index', authenticate('write'), (request, response, next) => UploadsController.putChunk(request, response).catch(next));
+  route.post('/uploads/:id/finalize', authenticate('write'), (request, response, next) => UploadsController.postFinalize(request, response).catch(next));
+
+  route.get('/jobs/:id', authenticate('read'), (request, response, next) => JobsController.getShow(request, response).catch(next));
+
+  route.get('/admin/usage', authenticate('admin'), requireAdmin, (request, response, next) => AdminController.getUsage(request, response).catch(next));
+  route.put('/admin/users/:id/quota', authenticate('admin'), requireAdmin, validateObjectId('id'), (request, response, next) => AdminController.putQuota(request, response).catch(next));
+  route.get('/admin/queues', authenticate('admin'), requireAdmin, (request, response, next) => AdminController.getQueues(request, response).catch(next));
+  route.get('/admin/jobs/failed', authenticate('admin'), requireAdmin, (request, response, next) => AdminController.getFailedJobs(request, response).catch(next));
+  route.post('/admin/jobs/:id/retry', authenticate('admin'), requireAdmin, (request, response, next) => AdminController.postRetryJob(request, response).catch(next));
+  route.delete('/admin/jobs/:id', authenticate('admin'), requireAdmin, (request, response, next) => AdminController.deleteJob(request, response).catch(next));
 };
 
 export default router;
@@ -0,0 +1,133 @@
+/* eslint-env mocha */
+import DBClient from '../utils/db';
+import { hashApiKey } from '../utils/apiKeys';
+import useFakeDb from './support/db';
+import useFakeRedis from './support/redis';
+import {
+  createAgent, createUser, createFile, useStoringFolder,
+} from './support/app';
+import expect from './support/expect';
+
+describe('api keys', () => {
+  let fakeDb;
+  let fakeRedis;
+  let removeStoringFolder;
+  let agent;
+  let owner;
+
+  before(async () => {
+    fakeDb = useFakeDb();
+    fakeRedis = useFakeRedis();
+    removeStoringFolder = useStoringFolder();
+    agent = createAgent();
+    owner = await createUser('keys@example.com');
+  });
+
+  after(() => {
+    agent.close();
+    removeStoringFolder();
+    fakeRedis.restore();
+    fakeDb.restore();
+  });
+
+  const createKey = async (body) => {
+    const res = await agent.post('/keys').set('X-Token', owner.token).send(body);
+    return res.body;
+  };
+
+  it('stores only the hash of a key and records its use', async () => {
+    expect.assertions(5);
+    const { id, key } = await createKey({ name: 'reader', scopes: ['read'] });
+
+    const stored = await DBClient.db.collection('apiKeys').findOne({ hash: hashApiKey(key) });
+    expect(stored).not.toBeNull();
+    expect(JSON.stringify(stored)).not.toContain(key);
+
+    const res = await agent.get('/users/me').set('X-Token', key);
+    expect(res.status).toBe(200);
+    expect(res.body.email).toBe('keys@example.com');
+
+    const used = await DBClient.db.collection('apiKeys').findOne({ _id: stored._id });
+    expect(used.lastUsedAt).toBeInstanceOf(Date);
+    await agent.delete(`/keys/${id}`).set('X-Token', owner.token);
+  });
+
+  it('refuses the requests outside the scopes of a key', async () => {
+    expect.assertions(4);
+    const { key } = await createKey({ name: 'reader', scopes: ['read'] });
+
+    expect((await agent.get('/users/me').set('X-Token', key)).status).toBe(200);
+    expect((await agent.post('/files').set('X-Token', key).send({ name: 'folder', type: 'folder' })).status).toBe(401);
+    expect((await agent.post('/keys').set('X-Token', key).send({ name: 'other', scopes: ['read'] })).status).toBe(401);
+    expect((await agent.get('/sessions').set('X-Token', key)).status).toBe(401);
+  });
+
+  it('allows every scope to a key with the scope admin', async () => {
+    expect.assertions(2);
+    const { key } = await createKey({ name: 'admin', scopes: ['admin'] });
+
+    expect((await agent.get('/sessions').set('X-Token', key)).status).toBe(200);
+    expect((await agent.post('/files').set('X-Token', key).send({ name: 'admin-folder', type: 'folder' })).status).toBe(201);
+  });
+
+  it('refuses an unknown or deleted key', async () => {
+    expect.assertions(3);
+    const { id, key } = await createKey({ name: 'deleted', scopes: ['read'] });
+
+    expect((await agent.get('/users/me').set('X-Token', `${key.slice(0, -1)}0`)).status).toBe(401);
+    expect((await agent.delete(`/keys/${id}`).set('X-Token', owner.token)).status).toBe(204);
+    expect((await agent.get('/users/me').set('X-Token', key)).status).toBe(401);
+  });
+
+  describe('restricted to a folder', () => {
+    let folder;
+    let inside;
+    let outside;
+    let key;
+
+    before(async () => {
+      folder = await createFile(owner.user, 'restricted');
+      const subfolder = await createFile(owner.user, 'subfolder', { parentId: folder._id });
+      inside = await createFile(owner.user, 'inside.txt', { parentId: subfolder._id, content: 'inside' });
+      outside = await createFile(owner.user, 'outside.txt', { content: 'outside' });
+      ({ key } = await createKey({ name: 'folder', scopes: ['read'], folderId: folder._id }));
+    });
+
+    it('gives access to the folder and its descendants', async () => {
+      expect.assertions(3);
+
+      expect((await agent.get(`/files/${folder._id}`).set('X-Token', key)).status).toBe(200);
+      expect((await agent.get(`/files/${inside._id}`).set('X-Token', key)).status).toBe(200);
+      const data = await agent.get(`/files/${inside._id}/data`).set('X-Token', key);
+      expect(data.text).toBe('inside');
+    });
+
+    it('hides the files outside of the folder', async () => {
+      expect.assertions(3);
+
+      expect((await agent.get(`/files/${outside._id}`).set('X-Token', key)).status).toBe(404);
+      expect((await agent.get(`/files/${outside._id}/data`).set('X-Token', key)).status).toBe(404);
+      expect((await agent.get(`/files/${outside._id}`).set('X-Token', owner.token)).status).toBe(200);
+    });
+
+    it('lists only the links of the files in the folder', async () => {
+      expect.assertions(2);
+      await agent.post(`/files/${inside._id}/links`).set('X-Token', owner.token).send({});
+      await agent.post(`/files/${outside._id}/links`).set('X-Token', owner.token).send({});
+
+      const res = await agent.get('/links').set('X-Token', key);
+      expect(res.status).toBe(200);
+      expect(res.body.map((link) => link.fileId)).toStrictEqual([inside._id.toString()]);
+    });
+
+    it('refuses a folder of another user', async () => {
+      expect.assertions(1);
+      const stranger = await createUser('stranger@example.com');
+      const otherFolder = await createFile(stranger.user, 'not-mine');
+
+      const res = await agent.post('/keys').set('X-Token', owner.token)
+        .send({ name: 'stolen', scopes: ['read'], folderId: otherFolder._id });
+      expect(res.status).toBe(400);
+    });
+  });
+});
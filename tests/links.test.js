@@ -0,0 +1,123 @@
+/* eslint-env mocha */
+import DBClient from '../utils/db';
+import useFakeDb from './support/db';
+import useFakeRedis from './support/redis';
+import {
+  createAgent, createUser, createFile, useStoringFolder,
+} from './support/app';
+import expect from './support/expect';
+
+describe('share links', () => {
+  let fakeDb;
+  let fakeRedis;
+  let removeStoringFolder;
+  let agent;
+  let owner;
+  let file;
+
+  before(async () => {
+    fakeDb = useFakeDb();
+    fakeRedis = useFakeRedis();
+    removeStoringFolder = useStoringFolder();
+    agent = createAgent();
+    owner = await createUser('links@example.com');
+    file = await createFile(owner.user, 'hello.txt', { content: 'Hello links' });
+  });
+
+  after(() => {
+    agent.close();
+    removeStoringFolder();
+    fakeRedis.restore();
+    fakeDb.restore();
+  });
+
+  const createLink = async (body) => {
+    const res = await agent
+      .post(`/files/${file._id}/links`)
+      .set('X-Token', owner.token)
+      .send(body);
+    return res.body;
+  };
+
+  const findLink = (link) => DBClient.db.collection('links').findOne({ token: link.token });
+
+  it('requires the password of a protected link', async () => {
+    expect.assertions(6);
+    const link = await createLink({ password: 'secret' });
+
+    const missing = await agent.get(`/links/${link.token}/data`);
+    const wrong = await agent.get(`/links/${link.token}/data`).set('X-Link-Password', 'wrong');
+    expect(missing.status).toBe(401);
+    expect(missing.body.error).toBe('Password required');
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.error).toBe('Wrong password');
+
+    const right = await agent.post(`/links/${link.token}/data`).send({ password: 'secret' });
+    expect(right.status).toBe(200);
+    expect(right.text).toBe('Hello links');
+  });
+
+  it('records only the accesses passing the password check', async () => {
+    expect.assertions(3);
+    const link = await createLink({ password: 'secret' });
+
+    await agent.get(`/links/${link.token}/data`).set('X-Link-Password', 'wrong');
+    expect((await findLink(link)).accessCount).toBe(0);
+
+    await agent.get(`/links/${link.token}/data`).set('X-Link-Password', 'secret');
+    const recorded = await findLink(link);
+    expect(recorded.accessCount).toBe(1);
+    expect(recorded.lastAccessedAt).toBeInstanceOf(Date);
+  });
+
+  it('stops the downloads at the limit of the link', async () => {
+    expect.assertions(4);
+    const link = await createLink({ maxDownloads: 2 });
+
+    const first = await agent.get(`/links/${link.token}/data`);
+    const second = await agent.get(`/links/${link.token}/data`);
+    const third = await agent.get(`/links/${link.token}/data`);
+    expect([first.status, second.status]).toStrictEqual([200, 200]);
+    expect(third.status).toBe(410);
+    expect(third.body.error).toBe('Download limit reached');
+    expect((await findLink(link)).downloads).toBe(2);
+  });
+
+  it('counts the partial downloads of a limited link', async () => {
+    expect.assertions(3);
+    const link = await createLink({ maxDownloads: 1 });
+
+    const partial = await agent.get(`/links/${link.token}/data`).set('Range', 'bytes=6-10');
+    expect(partial.status).toBe(206);
+    expect(partial.text).toBe('links');
+
+    const full = await agent.get(`/links/${link.token}/data`);
+    expect(full.status).toBe(410);
+  });
+
+  it('counts a download of an unlimited link once, not its next ranges', async () => {
+    expect.assertions(3);
+    const link = await createLink({});
+
+    await agent.get(`/links/${link.token}/data`).set('Range', 'bytes=0-4');
+    await agent.get(`/links/${link.token}/data`).set('Range', 'bytes=5-10');
+    const recorded = await findLink(link);
+    expect(recorded.maxDownloads).toBeNull();
+    expect(recorded.downloads).toBe(1);
+    expect(recorded.accessCount).toBe(2);
+  });
+
+  it('refuses an expired link', async () => {
+    expect.assertions(3);
+    const link = await createLink({ expiresAt: new Date(Date.now() + 60000).toISOString() });
+    await DBClient.db.collection('links').updateOne(
+      { token: link.token },
+      { $set: { expiresAt: new Date(Date.now() - 1000) } },
+    );
+
+    const res = await agent.get(`/links/${link.token}/data`);
+    expect(res.status).toBe(410);
+    expect(res.body.error).toBe('Link expired');
+    expect((await findLink(link)).accessCount).toBe(0);
+  });
+});
@@ -0,0 +1,90 @@
+/* eslint-env mocha */
+import DBClient from '../utils/db';
+import { hashPassword, verifyPassword, needsRehash } from '../utils/passwords';
+import useFakeDb from './support/db';
+import useFakeRedis from './support/redis';
+import { createAgent, basicAuth } from './support/app';
+import expect from './support/expect';
+
+const sha1 = require('sha1');
+
+describe('passwords', () => {
+  it('hashes a password with scrypt and a random salt', async () => {
+    expect.assertions(5);
+    const hash = await hashPassword('password1');
+    const other = await hashPassword('password1');
+
+    expect(hash).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    expect(other).not.toBe(hash);
+    expect(await verifyPassword('password1', hash)).toBe(true);
+    expect(await verifyPassword('password2', hash)).toBe(false);
+    expect(needsRehash(hash)).toBe(false);
+  });
+
+  it('checks the legacy SHA1 hashes, to be replaced', async () => {
+    expect.assertions(3);
+    const hash = sha1('password1');
+
+    expect(await verifyPassword('password1', hash)).toBe(true);
+    expect(await verifyPassword('password2', hash)).toBe(false);
+    expect(needsRehash(hash)).toBe(true);
+  });
+
+  it('refuses the malformed hashes', async () => {
+    expect.assertions(3);
+
+    expect(await verifyPassword('password1', null)).toBe(false);
+    expect(await verifyPassword('password1', 'scrypt$')).toBe(false);
+    expect(await verifyPassword('password1', 'bcrypt$abcd$abcd')).toBe(false);
+  });
+
+  describe('sign-in of a user with a legacy hash', () => {
+    let fakeDb;
+    let fakeRedis;
+    let agent;
+
+    before(() => {
+      fakeDb = useFakeDb();
+      fakeRedis = useFakeRedis();
+      agent = createAgent();
+    });
+
+    after(() => {
+      agent.close();
+      fakeRedis.restore();
+      fakeDb.restore();
+    });
+
+    const addLegacyUser = async (email) => {
+      const user = { email, password: sha1('password1') };
+      await DBClient.db.collection('users').insertOne(user);
+      return user;
+    };
+
+    it('replaces the hash by a scrypt hash once the password is known', async () => {
+      expect.assertions(4);
+      const user = await addLegacyUser('legacy@example.com');
+
+      const res = await agent.get('/connect').set('Authorization', basicAuth('legacy@example.com', 'password1'));
+      expect(res.status).toBe(200);
+
+      const { password } = await DBClient.db.collection('users').findOne({ _id: user._id });
+      expect(needsRehash(password)).toBe(false);
+      expect(await verifyPassword('password1', password)).toBe(true);
+
+      const again = await agent.get('/connect').set('Authorization', basicAuth('legacy@example.com', 'password1'));
+      expect(again.status).toBe(200);
+    });
+
+    it('keeps the hash after a wrong password', async () => {
+      expect.assertions(2);
+      const user = await addLegacyUser('wrong@example.com');
+
+      const res = await agent.get('/connect').set('Authorization', basicAuth('wrong@example.com', 'password2'));
+      expect(res.status).toBe(401);
+
+      const { password } = await DBClient.db.collection('users').findOne({ _id: user._id });
+      expect(password).toBe(sha1('password1'));
+    });
+  });
+});
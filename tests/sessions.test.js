@@ -0,0 +1,103 @@
+/* eslint-env mocha */
+import { sessionId, sessionMaxAge, sessionTTL } from '../utils/auth';
+import useFakeDb from './support/db';
+import useFakeRedis from './support/redis';
+import { createAgent, createUser, basicAuth } from './support/app';
+import expect from './support/expect';
+
+describe('sessions', () => {
+  let fakeDb;
+  let fakeRedis;
+  let agent;
+
+  before(() => {
+    fakeDb = useFakeDb();
+    fakeRedis = useFakeRedis();
+    agent = createAgent();
+  });
+
+  after(() => {
+    agent.close();
+    fakeRedis.restore();
+    fakeDb.restore();
+  });
+
+  const getMe = (token) => agent.get('/users/me').set('X-Token', token);
+
+  const daysAgo = (days) => new Date(Date.now() - days * 86400 * 1000).toISOString();
+
+  it('resets the expiration of a session at each use', async () => {
+    expect.assertions(4);
+    const { token } = await createUser('sliding@example.com');
+    fakeRedis.ttls.set(`auth_${token}`, 10);
+    fakeRedis.keys.get(`session_${token}`).lastUsedAt = daysAgo(1);
+
+    const res = await getMe(token);
+    expect(res.status).toBe(200);
+    expect(fakeRedis.ttls.get(`auth_${token}`)).toBe(sessionTTL());
+    expect(fakeRedis.ttls.get(`session_${token}`)).toBe(sessionTTL());
+    expect(fakeRedis.keys.get(`session_${token}`).lastUsedAt > daysAgo(1)).toBe(true);
+  });
+
+  it('revokes a session of the user', async () => {
+    expect.assertions(4);
+    const { user, token } = await createUser('revoke@example.com');
+    const other = await agent.get('/connect').set('Authorization', basicAuth('revoke@example.com', 'password1'));
+
+    const res = await agent.delete(`/sessions/${sessionId(other.body.token)}`).set('X-Token', token);
+    expect(res.status).toBe(204);
+    expect((await getMe(other.body.token)).status).toBe(401);
+    expect((await getMe(token)).status).toBe(200);
+    expect(fakeRedis.keys.get(`tokens_${user._id}`).has(other.body.token)).toBe(false);
+  });
+
+  it('revokes the other sessions of the user and signs out', async () => {
+    expect.assertions(4);
+    const { token } = await createUser('others@example.com');
+    const second = await agent.get('/connect').set('Authorization', basicAuth('others@example.com', 'password1'));
+
+    expect((await agent.delete('/sessions').set('X-Token', token)).status).toBe(204);
+    expect((await getMe(second.body.token)).status).toBe(401);
+
+    expect((await agent.get('/disconnect').set('X-Token', token)).status).toBe(204);
+    expect((await getMe(token)).status).toBe(401);
+  });
+
+  it('revokes a session at its maximal lifetime, even if it is used', async () => {
+    expect.assertions(4);
+    const { user, token } = await createUser('max-age@example.com');
+    fakeRedis.keys.get(`session_${token}`).createdAt = new Date(
+      Date.now() - sessionMaxAge() * 1000 - 1000,
+    ).toISOString();
+
+    expect((await getMe(token)).status).toBe(401);
+    expect(fakeRedis.keys.has(`auth_${token}`)).toBe(false);
+    expect(fakeRedis.keys.has(`session_${token}`)).toBe(false);
+    expect(fakeRedis.keys.get(`tokens_${user._id}`).has(token)).toBe(false);
+  });
+
+  it('revokes a session without a valid creation date', async () => {
+    expect.assertions(2);
+    const { token } = await createUser('invalid-date@example.com');
+    fakeRedis.keys.get(`session_${token}`).createdAt = 'not a date';
+
+    expect((await getMe(token)).status).toBe(401);
+    expect(fakeRedis.keys.has(`auth_${token}`)).toBe(false);
+  });
+
+  it('starts the maximal lifetime of a token without session at its first use', async () => {
+    expect.assertions(5);
+    const { user, token } = await createUser('legacy-token@example.com');
+    fakeRedis.keys.delete(`session_${token}`);
+    fakeRedis.keys.get(`tokens_${user._id}`).delete(token);
+
+    expect((await getMe(token)).status).toBe(200);
+    const session = fakeRedis.keys.get(`session_${token}`);
+    expect(Date.now() - new Date(session.createdAt).getTime()).toBeLessThan(60000);
+    expect(fakeRedis.keys.get(`tokens_${user._id}`).has(token)).toBe(true);
+
+    session.createdAt = daysAgo(sessionMaxAge() / 86400 + 1);
+    expect((await getMe(token)).status).toBe(401);
+    expect(fakeRedis.keys.has(`session_${token}`)).toBe(false);
+  });
+});
@@ -0,0 +1,176 @@
+/* eslint-env mocha */
+import { S3Storage } from '../utils/storage';
+import expect from './support/expect';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+/**
+ * An in-process stand-in of a MinIO server: buckets and objects are kept in memory, with the
+ * requests used by S3Storage (path-style, the signatures are not checked).
+ * @returns {Object} { server, buckets } where buckets maps a bucket name to its objects.
+ */
+const createS3StandIn = () => {
+  const buckets = new Map();
+
+  const sendError = (res, status, code) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [bucketName, ...keyParts] = url.pathname.slice(1).split('/');
+    const key = decodeURIComponent(keyParts.join('/'));
+    const bucket = buckets.get(bucketName);
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      if (url.searchParams.has('location')) {
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.end('<?xml version="1.0" encoding="UTF-8"?><LocationConstraint>us-east-1</LocationConstraint>');
+        return;
+      }
+
+      if (!key) {
+        if (req.method === 'PUT') buckets.set(bucketName, new Map());
+        if (req.method === 'HEAD' && !bucket) {
+          res.writeHead(404);
+          res.end();
+          return;
+        }
+        res.writeHead(200);
+        res.end();
+        return;
+      }
+
+      if (!bucket) {
+        sendError(res, 404, 'NoSuchBucket');
+        return;
+      }
+      const object = bucket.get(key);
+
+      if (req.method === 'PUT') {
+        const body = Buffer.concat(chunks);
+        bucket.set(key, { body, lastModified: new Date() });
+        res.writeHead(200, { ETag: `"${body.length.toString(16)}"` });
+        res.end();
+      } else if (req.method === 'DELETE') {
+        bucket.delete(key);
+        res.writeHead(204);
+        res.end();
+      } else if (!object) {
+        if (req.method === 'HEAD') {
+          res.writeHead(404);
+          res.end();
+        } else {
+          sendError(res, 404, 'NoSuchKey');
+        }
+      } else {
+        const headers = {
+          'Content-Type': 'application/octet-stream',
+          'Last-Modified': object.lastModified.toUTCString(),
+          ETag: `"${object.body.length.toString(16)}"`,
+        };
+        const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+        const body = range
+          ? object.body.slice(Number(range[1]), Number(range[2]) + 1)
+          : object.body;
+        if (range) headers['Content-Range'] = `bytes ${range[1]}-${range[2]}/${object.body.length}`;
+        headers['Content-Length'] = req.method === 'HEAD' ? object.body.length : body.length;
+        res.writeHead(range ? 206 : 200, headers);
+        res.end(req.method === 'HEAD' ? undefined : body);
+      }
+    });
+  });
+
+  return { server, buckets };
+};
+
+/**
+ * Reads a readable stream to its end.
+ * @param {Readable} stream - Stream to read.
+ * @returns {Promise<Buffer>}
+ */
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  stream.on('error', reject);
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+describe('s3Storage', () => {
+  const standIn = createS3StandIn();
+  let storage;
+
+  before((done) => {
+    standIn.server.listen(0, '127.0.0.1', () => {
+      Object.assign(process.env, {
+        S3_ENDPOINT: '127.0.0.1',
+        S3_PORT: String(standIn.server.address().port),
+        S3_USE_SSL: 'false',
+        S3_ACCESS_KEY: 'minioadmin',
+        S3_SECRET_KEY: 'minioadmin',
+        S3_BUCKET: 'files-manager-test',
+      });
+      storage = new S3Storage();
+      done();
+    });
+  });
+
+  after((done) => {
+    standIn.server.close(done);
+  });
+
+  it('creates the bucket and stores a content', async () => {
+    expect.assertions(2);
+    await storage.put('key1', Buffer.from('Hello S3 storage'));
+
+    expect(standIn.buckets.has('files-manager-test')).toBe(true);
+    expect((await storage.get('key1')).toString()).toBe('Hello S3 storage');
+  });
+
+  it('streams the whole content or a range', async () => {
+    expect.assertions(2);
+    await storage.put('key2', Buffer.from('0123456789'));
+
+    expect((await readStream(storage.stream('key2'))).toString()).toBe('0123456789');
+    expect((await readStream(storage.stream('key2', { start: 2, end: 5 }))).toString()).toBe('2345');
+  });
+
+  it('returns the size and the modification date', async () => {
+    expect.assertions(5);
+    await storage.put('key3', Buffer.from('abc'));
+
+    const stats = await storage.stat('key3');
+    expect(stats.size).toBe(3);
+    expect(stats.mtime).toBeInstanceOf(Date);
+    expect(await storage.exists('key3')).toBe(true);
+    expect(await storage.stat('missing')).toBeNull();
+    expect(await storage.exists('missing')).toBe(false);
+  });
+
+  it('moves a local file to the bucket', async () => {
+    expect.assertions(2);
+    const filePath = path.join(os.tmpdir(), `s3-storage-test-${process.pid}`);
+    await fs.promises.writeFile(filePath, 'local content');
+
+    await storage.putFile('key4', filePath);
+
+    expect((await storage.get('key4')).toString()).toBe('local content');
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('deletes a content', async () => {
+    expect.assertions(2);
+    await storage.put('key5', Buffer.from('to delete'));
+
+    await storage.delete('key5');
+
+    expect(await storage.exists('key5')).toBe(false);
+    await expect(readStream(storage.stream('key5'))).rejects.toThrow(Error);
+  });
+});
@@ -0,0 +1,86 @@
+import router from '../../routes/index';
+import DBClient from '../../utils/db';
+import { createAuthToken } from '../../utils/auth';
+import { hashPassword } from '../../utils/passwords';
+import { hashBuffer } from '../../utils/blobs';
+import storage from '../../utils/storage';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+chai.use(chaiHttp);
+
+/**
+ * Builds the Express app of the server, to send it requests with chai-http.
+ * @returns {Object} The agent of chai-http, with get, post, put, patch and delete.
+ */
+export const createAgent = () => {
+  const app = express();
+  router(app);
+  return chai.request(app).keepOpen();
+};
+
+/**
+ * Adds a user in DB and signs it in.
+ * @param {String} email - Email of the user.
+ * @param {String} password - (optional) Password of the user.
+ * @returns {Promise<Object>} { user, token } where user is the user document.
+ */
+export const createUser = async (email, password = 'password1') => {
+  const user = { email, password: await hashPassword(password) };
+  await DBClient.db.collection('users').insertOne(user);
+  return { user, token: await createAuthToken(user) };
+};
+
+/**
+ * Adds a file in DB, with its content in the storage, or a folder without content.
+ * @param {Object} user - Owner of the file.
+ * @param {String} name - Name of the file.
+ * @param {Object} options - (optional) { parentId, content } where content is a string
+ * (default: a folder).
+ * @returns {Promise<Object>} The file document.
+ */
+export const createFile = async (user, name, options = {}) => {
+  const { parentId = '0', content } = options;
+  const fileDocument = {
+    userId: user._id,
+    name,
+    type: content === undefined ? 'folder' : 'file',
+    isPublic: false,
+    parentId,
+  };
+  if (content !== undefined) {
+    const buffer = Buffer.from(content);
+    const hash = hashBuffer(buffer);
+    await storage.put(hash, buffer);
+    Object.assign(fileDocument, { hash, size: buffer.length, mimeType: 'text/plain' });
+  }
+  await DBClient.db.collection('files').insertOne(fileDocument);
+  return fileDocument;
+};
+
+/**
+ * Stores the contents in a temporary folder (FOLDER_PATH) during the tests.
+ * @returns {Function} The function removing the folder.
+ */
+export const useStoringFolder = () => {
+  const folderPath = process.env.FOLDER_PATH;
+  process.env.FOLDER_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'files-manager-test-'));
+  return () => {
+    fs.rmSync(process.env.FOLDER_PATH, { recursive: true, force: true });
+    if (folderPath === undefined) delete process.env.FOLDER_PATH;
+    else process.env.FOLDER_PATH = folderPath;
+  };
+};
+
+/**
+ * The header Authorization of GET /connect.
+ * @param {String} email - Email of the user.
+ * @param {String} password - Password of the user.
+ * @returns {String}
+ */
+export const basicAuth = (email, password) => `Basic ${Buffer.from(`${email}:${password}`).toString('base64')}`;
@@ -0,0 +1,208 @@
+import DBClient from '../../utils/db';
+
+const { Query } = require('mingo');
+const { ObjectId } = require('mongodb');
+
+/**
+ * The documents are kept with their ObjectIds as tagged strings, so the queries of mingo
+ * compare them by value.
+ */
+const objectIdTag = '\u0000ObjectId:';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object'
+  && !(value instanceof Date) && !(value instanceof RegExp) && !(value instanceof ObjectId);
+
+const encode = (value) => {
+  if (value instanceof ObjectId) return `${objectIdTag}${value.toHexString()}`;
+  if (Array.isArray(value)) return value.map(encode);
+  if (!isPlainObject(value)) return value;
+  const encoded = {};
+  Object.keys(value).forEach((key) => { encoded[key] = encode(value[key]); });
+  return encoded;
+};
+
+const decode = (value) => {
+  if (typeof value === 'string' && value.startsWith(objectIdTag)) {
+    return ObjectId(value.slice(objectIdTag.length));
+  }
+  if (Array.isArray(value)) return value.map(decode);
+  if (!isPlainObject(value)) return value;
+  const decoded = {};
+  Object.keys(value).forEach((key) => { decoded[key] = decode(value[key]); });
+  return decoded;
+};
+
+/**
+ * Applies the update operators used by the controllers: $set, $unset and $inc.
+ * @param {Object} document - Decoded document, modified in place.
+ * @param {Object} update - Update of the driver.
+ */
+const applyUpdate = (document, update) => {
+  Object.keys(update).forEach((operator) => {
+    Object.keys(update[operator]).forEach((field) => {
+      const value = update[operator][field];
+      const keys = field.split('.');
+      const last = keys.pop();
+      const parent = keys.reduce((object, key) => {
+        if (!isPlainObject(object[key])) Object.assign(object, { [key]: {} });
+        return object[key];
+      }, document);
+
+      if (operator === '$set') parent[last] = value;
+      else if (operator === '$unset') delete parent[last];
+      else if (operator === '$inc') parent[last] = (parent[last] || 0) + value;
+      else throw new Error(`Update operator ${operator} not supported`);
+    });
+  });
+};
+
+/**
+ * A collection kept in memory, with the operations of the MongoDB driver used by the
+ * controllers (the options of the driver are ignored, except upsert and returnOriginal).
+ */
+class FakeCollection {
+  constructor() {
+    this.documents = [];
+  }
+
+  match(query) {
+    const compiled = new Query(encode(query || {}));
+    return this.documents.filter((document) => compiled.test(document));
+  }
+
+  replace(document, updated) {
+    this.documents[this.documents.indexOf(document)] = encode(updated);
+  }
+
+  async findOne(query) {
+    const [document] = this.match(query);
+    return document ? decode(document) : null;
+  }
+
+  find(query) {
+    let documents = this.match(query);
+    const cursor = {
+      sort: (order) => {
+        const fields = Object.keys(order);
+        documents = documents.slice().sort((a, b) => fields
+          .map((field) => (a[field] > b[field]) - (a[field] < b[field]))
+          .map((comparison, index) => comparison * order[fields[index]])
+          .find((comparison) => comparison !== 0) || 0);
+        return cursor;
+      },
+      skip: (count) => {
+        documents = documents.slice(count);
+        return cursor;
+      },
+      limit: (count) => {
+        if (count) documents = documents.slice(0, count);
+        return cursor;
+      },
+      project: () => cursor,
+      toArray: async () => documents.map(decode),
+    };
+    return cursor;
+  }
+
+  async countDocuments(query) {
+    return this.match(query).length;
+  }
+
+  async insertOne(document) {
+    if (!document._id) Object.assign(document, { _id: new ObjectId() });
+    if (this.match({ _id: document._id }).length) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    this.documents.push(encode(document));
+    return { insertedId: document._id, ops: [document] };
+  }
+
+  async insertMany(documents) {
+    await documents.reduce((previous, document) => previous
+      .then(() => this.insertOne(document)), Promise.resolve());
+    return { insertedCount: documents.length };
+  }
+
+  async updateOne(query, update) {
+    const [document] = this.match(query);
+    if (!document) return { matchedCount: 0, modifiedCount: 0 };
+
+    const updated = decode(document);
+    applyUpdate(updated, update);
+    this.replace(document, updated);
+    return { matchedCount: 1, modifiedCount: 1 };
+  }
+
+  async updateMany(query, update) {
+    const documents = this.match(query);
+    documents.forEach((document) => {
+      const updated = decode(document);
+      applyUpdate(updated, update);
+      this.replace(document, updated);
+    });
+    return { matchedCount: documents.length, modifiedCount: documents.length };
+  }
+
+  async findOneAndUpdate(query, update, options = {}) {
+    const [document] = this.match(query);
+    if (!document) {
+      if (!options.upsert) return { value: null };
+      const inserted = {};
+      Object.keys(query)
+        .filter((field) => !field.startsWith('$'))
+        .forEach((field) => { inserted[field] = query[field]; });
+      applyUpdate(inserted, update);
+      await this.insertOne(inserted);
+      return { value: options.returnOriginal === false ? inserted : null };
+    }
+
+    const original = decode(document);
+    const updated = decode(document);
+    applyUpdate(updated, update);
+    this.replace(document, updated);
+    return { value: options.returnOriginal === false ? updated : original };
+  }
+
+  async deleteOne(query) {
+    const [document] = this.match(query);
+    if (document) this.documents.splice(this.documents.indexOf(document), 1);
+    return { deletedCount: document ? 1 : 0 };
+  }
+
+  async deleteMany(query) {
+    const documents = this.match(query);
+    this.documents = this.documents.filter((document) => !documents.includes(document));
+    return { deletedCount: documents.length };
+  }
+}
+
+/**
+ * Replaces the database of DBClient by collections kept in memory, for the tests using the
+ * controllers without a MongoDB server: the connection of DBClient can't replace it.
+ * @returns {Object} { db, restore } where db is the database in memory and restore gives
+ * DBClient its own database back.
+ */
+const useFakeDb = () => {
+  const collections = new Map();
+  const db = {
+    collection: (name) => {
+      if (!collections.has(name)) collections.set(name, new FakeCollection());
+      return collections.get(name);
+    },
+  };
+
+  const realDb = DBClient.db;
+  Object.defineProperty(DBClient, 'db', {
+    configurable: true,
+    get: () => db,
+    set: () => {},
+  });
+
+  const restore = () => {
+    delete DBClient.db;
+    DBClient.db = realDb;
+  };
+  return { db, restore };
+};
+
+export default useFakeDb;
@@ -0,0 +1,24 @@
+/* eslint-env mocha */
+const { expect } = require('expect');
+
+/**
+ * The assertions of the tests are written with expect, the assertion library of Jest: mocha
+ * doesn't check expect.assertions and expect.hasAssertions, so the hooks of the root suite
+ * reset the count of the assertions before each test and check it after.
+ */
+before(function addAssertionChecks() {
+  const rootSuite = this.test.parent;
+  rootSuite.beforeEach(() => {
+    expect.setState({
+      assertionCalls: 0,
+      expectedAssertionsNumber: null,
+      isExpectingAssertions: false,
+    });
+  });
+  rootSuite.afterEach(() => {
+    const [failure] = expect.extractExpectedAssertionsErrors();
+    if (failure) throw failure.error;
+  });
+});
+
+export default expect;
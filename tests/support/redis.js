@@ -0,0 +1,60 @@
+import RedisClient from '../../utils/redis';
+
+const sinon = require('sinon');
+
+/**
+ * Replaces the commands of RedisClient by a store kept in memory, for the tests using the
+ * controllers without a Redis server: the strings, hashes and sets are values of the map
+ * keys, and the durations of the keys are recorded in the map ttls (they never expire).
+ * @returns {Object} { keys, ttls, restore } where restore gives RedisClient its own
+ * commands back.
+ */
+const useFakeRedis = () => {
+  const keys = new Map();
+  const ttls = new Map();
+  const sandbox = sinon.createSandbox();
+
+  const hash = (key) => {
+    if (!keys.has(key)) keys.set(key, {});
+    return keys.get(key);
+  };
+  const set = (key) => {
+    if (!keys.has(key)) keys.set(key, new Set());
+    return keys.get(key);
+  };
+
+  sandbox.stub(RedisClient, 'isAlive').returns(true);
+  sandbox.stub(RedisClient, 'get').callsFake(async (key) => (keys.has(key) ? keys.get(key) : null));
+  sandbox.stub(RedisClient, 'set').callsFake(async (key, value, duration) => {
+    keys.set(key, String(value));
+    ttls.set(key, duration);
+  });
+  sandbox.stub(RedisClient, 'setnx').callsFake(async (key, value, duration) => {
+    if (keys.has(key)) return false;
+    keys.set(key, String(value));
+    ttls.set(key, duration);
+    return true;
+  });
+  sandbox.stub(RedisClient, 'del').callsFake(async (key) => {
+    keys.delete(key);
+    ttls.delete(key);
+  });
+  sandbox.stub(RedisClient, 'expire').callsFake(async (key, duration) => {
+    if (keys.has(key)) ttls.set(key, duration);
+  });
+  sandbox.stub(RedisClient, 'hset').callsFake(async (key, field, value) => {
+    hash(key)[field] = String(value);
+  });
+  sandbox.stub(RedisClient, 'hgetall').callsFake(async (key) => (keys.has(key) ? { ...keys.get(key) } : null));
+  sandbox.stub(RedisClient, 'sadd').callsFake(async (key, member) => {
+    set(key).add(String(member));
+  });
+  sandbox.stub(RedisClient, 'srem').callsFake(async (key, member) => {
+    set(key).delete(String(member));
+  });
+  sandbox.stub(RedisClient, 'smembers').callsFake(async (key) => [...set(key)]);
+
+  return { keys, ttls, restore: () => sandbox.restore() };
+};
+
+export default useFakeRedis;
@@ -0,0 +1,83 @@
+import DBClient from './db';
+import { findAncestors } from './files';
+
+const crypto = require('crypto');
+
+/**
+ * The scopes of an API key:
+ * - read: list, show and download the files, shares and links
+ * - write: upload, rename, move, copy and delete the files
+ * - publish: publish the files, share them and create links
+ * - admin: everything, including the account, the sessions and the API keys
+ */
+export const apiKeyScopes = ['read', 'write', 'publish', 'admin'];
+
+/**
+ * The prefix of the API keys, to recognize them in the header X-Token.
+ */
+export const apiKeyPrefix = 'fm_';
+
+/**
+ * Generates a new API key: the prefix followed by 32 random bytes in hexadecimal.
+ * @returns {String}
+ */
+export const generateApiKey = () => `${apiKeyPrefix}${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * Hashes an API key: only its SHA-256 is stored in DB.
+ * @param {String} key - API key in clear.
+ * @returns {String}
+ */
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Retrieves the user of an API key and records its use (lastUsedAt and lastUsedIp):
+ * - If the key is unknown, returns null
+ * - Otherwise, returns the user document with the key as apiKey ({ id, scopes, folderId })
+ * @param {String} key - API key in clear.
+ * @param {Request} req - Express request object.
+ * @returns {Promise<Object | null>}
+ */
+export const findApiKeyUser = async (key, req) => {
+  const { value: apiKey } = await DBClient.db
+    .collection('apiKeys')
+    .findOneAndUpdate(
+      { hash: hashApiKey(key) },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip || '' } },
+    );
+  if (!apiKey) return null;
+
+  const user = await DBClient.db
+    .collection('users')
+    .findOne({ _id: apiKey.userId });
+  if (!user) return null;
+
+  user.apiKey = { id: apiKey._id, scopes: apiKey.scopes, folderId: apiKey.folderId };
+  return user;
+};
+
+/**
+ * Checks if a user is allowed to use a scope: always for a session token, and for an API
+ * key if the scope (or admin) is one of its scopes.
+ * @param {Object} user - User document from getAuthUser.
+ * @param {String} scope - Scope needed.
+ * @returns {boolean}
+ */
+export const hasScope = (user, scope) => !user.apiKey
+  || user.apiKey.scopes.includes('admin')
+  || user.apiKey.scopes.includes(scope);
+
+/**
+ * Checks if a user is allowed to reach a file with the folder restriction of its API key:
+ * the file must be the folder of the key or one of its descendants.
+ * @param {Object} user - User document from getAuthUser.
+ * @param {Object} fileDocument - File document from DB.
+ * @returns {Promise<boolean>}
+ */
+export const keyAllows = async (user, fileDocument) => {
+  if (!user.apiKey || !user.apiKey.folderId) return true;
+
+  const folderId = user.apiKey.folderId.toString();
+  if (fileDocument._id.toString() === folderId) return true;
+  return (await findAncestors(fileDocument)).some((file) => file._id.toString() === folderId);
+};
@@ -0,0 +1,179 @@
+import { v4 as uuidv4 } from 'uuid';
+import DBClient from './db';
+import RedisClient from './redis';
+import { apiKeyPrefix, findApiKeyUser, hasScope } from './apiKeys';
+
+const { ObjectId } = require('mongodb');
+const crypto = require('crypto');
+
+/**
+ * Lifetime in seconds of a session without activity: every authenticated request resets
+ * it (sliding expiration):
+ * - from the environment variable SESSION_TTL
+ * - default: 24 hours
+ * @returns {Number}
+ */
+export const sessionTTL = () => Number(process.env.SESSION_TTL) || 86400;
+
+/**
+ * Maximal lifetime in seconds of a session, even if it is used:
+ * - from the environment variable SESSION_MAX_AGE
+ * - default: 30 days
+ * @returns {Number}
+ */
+export const sessionMaxAge = () => Number(process.env.SESSION_MAX_AGE) || 30 * 86400;
+
+/**
+ * The public ID of a session, so the token itself is never listed.
+ * @param {String} token - Authentication token.
+ * @returns {String}
+ */
+export const sessionId = (token) => crypto.createHash('sha256').update(token).digest('hex').slice(0, 32);
+
+/**
+ * Revokes an authentication token and removes its session.
+ * @param {String} token - Token to revoke.
+ * @param {String | ObjectId} userId - ID of the user of the token.
+ * @returns {Promise<void>}
+ */
+export const revokeAuthToken = async (token, userId) => {
+  await RedisClient.del(`auth_${token}`);
+  await RedisClient.del(`session_${token}`);
+  await RedisClient.srem(`tokens_${userId}`, token);
+};
+
+/**
+ * Resets the expiration of a session and records its use:
+ * - A token without session (created before the sessions) gets one, created now: its
+ * maximal lifetime starts at this first use
+ * - A session without a valid createdAt is considered as expired
+ * @param {String} token - Authentication token.
+ * @param {String} userId - ID of the user of the token.
+ * @returns {Promise<boolean>} false if the session reached its maximal lifetime (and was
+ * revoked).
+ */
+const touchSession = async (token, userId) => {
+  const session = await RedisClient.hgetall(`session_${token}`);
+  const now = new Date().toISOString();
+  if (session && !(Date.now() - new Date(session.createdAt).getTime() <= sessionMaxAge() * 1000)) {
+    await revokeAuthToken(token, userId);
+    return false;
+  }
+
+  await RedisClient.expire(`auth_${token}`, sessionTTL());
+  if (!session) {
+    await RedisClient.hset(`session_${token}`, 'createdAt', now);
+    await RedisClient.sadd(`tokens_${userId}`, token);
+  }
+  await RedisClient.hset(`session_${token}`, 'lastUsedAt', now);
+  await RedisClient.expire(`session_${token}`, sessionTTL());
+  await RedisClient.expire(`tokens_${userId}`, sessionTTL());
+  return true;
+};
+
+/**
+ * Retrieves the user based on the token of the header X-Token:
+ * - If the header is missing, the token is unknown in Redis or no user is
+ * linked to it, returns null
+ * - The header can also contain an API key (fm_...): if the key is unknown or doesn't have
+ * the scope needed, returns null - otherwise the user document has the key as apiKey
+ * - Otherwise, the expiration of the session is reset and returns the user document
+ * @param {Request} req - Express request object.
+ * @param {String} scope - (optional) Scope needed with an API key (default: admin).
+ * @returns {Promise<Object | null>}
+ */
+const getAuthUser = async (req, scope = 'admin') => {
+  const token = req.header('X-Token') || null;
+  if (!token) return null;
+
+  if (token.startsWith(apiKeyPrefix)) {
+    const user = await findApiKeyUser(token, req);
+    return user && hasScope(user, scope) ? user : null;
+  }
+
+  const redisToken = await RedisClient.get(`auth_${token}`);
+  if (!redisToken) return null;
+
+  if (!await touchSession(token, redisToken)) return null;
+
+  return DBClient.db
+    .collection('users')
+    .findOne({ _id: ObjectId(redisToken) });
+};
+
+/**
+ * Generates a new authentication token for a user:
+ * - The key auth_<token> stores the user ID in Redis for SESSION_TTL seconds
+ * - The Redis hash session_<token> stores the metadata of the session: createdAt,
+ * lastUsedAt, userAgent and ip
+ * - The token is added to the Redis set tokens_<user ID>, to list and revoke the sessions of
+ * the user
+ * @param {Object} user - User document.
+ * @param {Request} req - (optional) Express request object of the sign-in.
+ * @returns {Promise<String>} The token.
+ */
+export const createAuthToken = async (user, req) => {
+  const token = uuidv4();
+  const now = new Date().toISOString();
+  const metadata = {
+    createdAt: now,
+    lastUsedAt: now,
+    userAgent: (req && req.header('User-Agent')) || '',
+    ip: (req && req.ip) || '',
+  };
+
+  await RedisClient.set(`auth_${token}`, user._id.toString(), sessionTTL());
+  await Promise.all(Object.keys(metadata)
+    .map((field) => RedisClient.hset(`session_${token}`, field, metadata[field])));
+  await RedisClient.expire(`session_${token}`, sessionTTL());
+  await RedisClient.sadd(`tokens_${user._id}`, token);
+  await RedisClient.expire(`tokens_${user._id}`, sessionTTL());
+  return token;
+};
+
+/**
+ * Retrieves the active sessions of a user (the expired ones are removed from the set
+ * tokens_<user ID>).
+ * @param {String | ObjectId} userId - ID of the user.
+ * @returns {Promise<Array<Object>>} The sessions with their token and metadata.
+ */
+export const findUserSessions = async (userId) => {
+  const tokens = (await RedisClient.smembers(`tokens_${userId}`)) || [];
+  const sessions = await Promise.all(tokens.map(async (token) => {
+    if (!await RedisClient.get(`auth_${token}`)) {
+      await RedisClient.srem(`tokens_${userId}`, token);
+      return null;
+    }
+    return { token, ...await RedisClient.hgetall(`session_${token}`) };
+  }));
+  return sessions.filter((session) => session);
+};
+
+/**
+ * Revokes all the authentication tokens of a user.
+ * @param {String | ObjectId} userId - ID of the user.
+ * @param {String} exceptToken - (optional) Token to keep.
+ * @returns {Promise<void>}
+ */
+export const revokeUserTokens = async (userId, exceptToken) => {
+  const tokens = (await RedisClient.smembers(`tokens_${userId}`)) || [];
+  await Promise.all(tokens
+    .filter((token) => token !== exceptToken)
+    .map((token) => revokeAuthToken(token, userId)));
+};
+
+/**
+ * Checks if a user is an admin: the user document has isAdmin set to true, or its email is
+ * part of the environment variable ADMIN_EMAILS (comma-separated list).
+ * @param {Object} user - User document.
+ * @returns {boolean}
+ */
+export const isAdmin = (user) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim())
+    .filter((email) => email);
+  return user.isAdmin === true || adminEmails.includes(user.email);
+};
+
+export default getAuthUser;
@@ -0,0 +1,190 @@
+import DBClient from './db';
+import storage, { storingFolder } from './storage';
+import { thumbnailSizes } from './thumbnails';
+import { removeTransforms } from './transforms';
+import { processors, removeText } from './processors';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+export { storingFolder };
+
+/**
+ * The storage key of the content of a file document: the SHA-256 hash of the content, or
+ * for a content stored before the blobs, the filename of its local path.
+ * @param {Object} fileDocument - File document from DB.
+ * @returns {String | null}
+ */
+export const contentKey = (fileDocument) => {
+  if (fileDocument.hash) return fileDocument.hash;
+  if (fileDocument.localPath) return path.basename(fileDocument.localPath);
+  return null;
+};
+
+/**
+ * The content attributes of a file document referencing a blob: hash, checksum (the same
+ * SHA-256, the one returned to the clients), size, and localPath when the storage driver
+ * keeps the contents on the local disk.
+ * @param {String} hash - SHA-256 of the content, in hexadecimal.
+ * @param {Number} size - Size of the content in bytes.
+ * @returns {Object}
+ */
+export const blobFields = (hash, size) => {
+  const fields = { hash, checksum: hash, size };
+  if (storage.localPath) fields.localPath = storage.localPath(hash);
+  return fields;
+};
+
+/**
+ * Computes the SHA-256 hash of a buffer.
+ * @param {Buffer} buffer - Content to hash.
+ * @returns {String} The hash in hexadecimal.
+ */
+export const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Computes the SHA-256 hash of a local file without loading it in memory.
+ * @param {String} filePath - Location of the file.
+ * @returns {Promise<String>} The hash in hexadecimal.
+ */
+export const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', (chunk) => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * Removes from the storage a content, all its thumbnails and processor outputs, and its
+ * transformed images from the cache: the thumbnails of the current THUMBNAIL_SIZES and the
+ * ones recorded on the document (generated with other sizes before), like the outputs.
+ * @param {String} key - Storage key of the content.
+ * @param {Object} fileDocument - File or version document referencing the content.
+ * @returns {Promise<void>}
+ */
+const removeContent = async (key, fileDocument) => {
+  const names = thumbnailSizes().map((size) => size.name)
+    .concat(processors.map((processor) => processor.name))
+    .concat(Object.keys(fileDocument.thumbnails || {}))
+    .concat(Object.keys(fileDocument.variants || {}));
+  const keys = [key].concat([...new Set(names)].map((name) => `${key}_${name}`));
+  await Promise.all(keys.map((item) => storage.delete(item).catch(() => {})));
+  await removeTransforms(key);
+  await removeText(key);
+};
+
+/**
+ * The time after which a blob still marked as being deleted (see releaseBlob) is considered
+ * abandoned by the deletion, in milliseconds.
+ */
+const deletionTimeout = 60 * 1000;
+
+/**
+ * Adds a reference to a blob, created with a reference count of 1 if it doesn't exist:
+ * - A blob being deleted (deletingAt set) can't be referenced anymore: its document is still
+ * present, so the creation fails with a duplicate key error - retried until the deletion
+ * ends (a deletion abandoned for deletionTimeout is taken over)
+ * - The concurrent creations of the same blob are retried the same way
+ * @param {String} hash - SHA-256 of the content.
+ * @param {Number} size - Size of the content in bytes.
+ * @param {Number} attempt - (optional) Number of the attempts already made.
+ * @returns {Promise<Object | null>} The blob before the reference, or null if it was created.
+ */
+const referenceBlob = async (hash, size, attempt = 0) => {
+  const blobs = DBClient.db.collection('blobs');
+  try {
+    const { value } = await blobs.findOneAndUpdate(
+      { _id: hash, deletingAt: null },
+      { $inc: { refCount: 1 }, $setOnInsert: { size, createdAt: new Date() } },
+      { upsert: true },
+    );
+    return value;
+  } catch (error) {
+    if (error.code !== 11000 || attempt >= 50) throw error;
+    await blobs.deleteOne({
+      _id: hash,
+      deletingAt: { $lt: new Date(Date.now() - deletionTimeout) },
+    });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    return referenceBlob(hash, size, attempt + 1);
+  }
+};
+
+/**
+ * Stores a content as a blob of the collection blobs, with its SHA-256 hash as storage key:
+ * - If the blob already exists, its reference count is incremented and the content is
+ * discarded (a blob being deleted is stored again once deleted, see referenceBlob)
+ * - Otherwise, the content is stored by the storage driver and the blob is created with a
+ * reference count of 1
+ * - If the content can't be stored, the reference is removed (and the blob when nothing else
+ * references it) before failing
+ * @param {Buffer | String} content - The content, or the path of a local temporary file
+ * containing it (the file is moved or removed).
+ * @param {String} hash - SHA-256 of the content.
+ * @param {Number} size - Size of the content in bytes.
+ * @returns {Promise<Object>} The content attributes of the file document (see blobFields).
+ */
+export const storeBlob = async (content, hash, size) => {
+  const value = await referenceBlob(hash, size);
+
+  try {
+    if (value && await storage.exists(hash)) {
+      if (!Buffer.isBuffer(content)) await fs.promises.unlink(content);
+    } else if (Buffer.isBuffer(content)) {
+      await storage.put(hash, content);
+    } else {
+      await storage.putFile(hash, content);
+    }
+  } catch (error) {
+    const blobs = DBClient.db.collection('blobs');
+    await blobs.updateOne({ _id: hash }, { $inc: { refCount: -1 } });
+    await blobs.deleteOne({ _id: hash, refCount: { $lte: 0 }, deletingAt: null });
+    if (!Buffer.isBuffer(content)) await fs.promises.unlink(content).catch(() => {});
+    throw error;
+  }
+
+  return blobFields(hash, size);
+};
+
+/**
+ * Adds a reference to an existing blob.
+ * @param {String} hash - SHA-256 of the content.
+ * @returns {Promise<Object | null>} The blob, or null if it doesn't exist (or is being
+ * deleted).
+ */
+export const retainBlob = async (hash) => {
+  const { value } = await DBClient.db
+    .collection('blobs')
+    .findOneAndUpdate({ _id: hash, deletingAt: null }, { $inc: { refCount: 1 } });
+  return value;
+};
+
+/**
+ * Removes a reference to the content of a file document:
+ * - For a content stored as a blob, the reference count is decremented and the blob is
+ * deleted from the storage (with its thumbnails) then from DB when nothing references it: it
+ * is first marked as being deleted (deletingAt), so no reference can be added meanwhile
+ * - For a content stored before the blobs, the file and its thumbnails are removed
+ * @param {Object} fileDocument - File document from DB.
+ * @returns {Promise<void>}
+ */
+export const releaseBlob = async (fileDocument) => {
+  const key = contentKey(fileDocument);
+  if (!key) return;
+  if (!fileDocument.hash) {
+    await removeContent(key, fileDocument);
+    return;
+  }
+
+  const blobs = DBClient.db.collection('blobs');
+  await blobs.updateOne({ _id: key }, { $inc: { refCount: -1 } });
+  const { value } = await blobs.findOneAndUpdate(
+    { _id: key, refCount: { $lte: 0 }, deletingAt: null },
+    { $set: { deletingAt: new Date() } },
+  );
+  if (!value) return;
+  await removeContent(key, fileDocument);
+  await blobs.deleteOne({ _id: key });
+};
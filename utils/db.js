@@ -20,12 +20,62 @@ class DBClient {
     MongoClient.connect(url, (err, client) => {
       if (!err) {
         this.db = client.db(database);
+        this.createIndexes();
       } else {
         this.db = false;
       }
     });
   }
 
+  /**
+   * An asynchronous function createIndexes that creates the indexes used by the
+   * endpoints, when the connection to MongoDB is a success (creating an index which
+   * already exists does nothing):
+   * - files: the listing of a folder and the search of GET /files (by parent, owner, name,
+   * type, MIME type, size and dates), the blobs references (hash) and the trash
+   * - versions: the history of a file (by file and version number) and the usage of a user
+   * - shares, links and apiKeys: their lookups by file, user, token and hash
+   * - An index which can't be created is logged, the server still starts
+   * @returns {Promise<void>}
+   */
+  async createIndexes() {
+    const indexes = {
+      files: [
+        { key: { parentId: 1, trashedAt: 1 } },
+        { key: { userId: 1, parentId: 1, trashedAt: 1 } },
+        { key: { userId: 1, name: 1 } },
+        { key: { userId: 1, type: 1 } },
+        { key: { userId: 1, mimeType: 1 } },
+        { key: { userId: 1, size: 1 } },
+        { key: { userId: 1, createdAt: 1 } },
+        { key: { userId: 1, updatedAt: 1 } },
+        { key: { hash: 1 } },
+        { key: { trashedAt: 1, trashedWith: 1 } },
+      ],
+      versions: [
+        { key: { fileId: 1, version: -1 }, unique: true },
+        { key: { userId: 1 } },
+      ],
+      shares: [
+        { key: { fileId: 1, userId: 1 }, unique: true },
+        { key: { userId: 1 } },
+      ],
+      links: [
+        { key: { token: 1 }, unique: true },
+        { key: { userId: 1, fileId: 1 } },
+      ],
+      apiKeys: [
+        { key: { hash: 1 }, unique: true },
+        { key: { userId: 1 } },
+      ],
+    };
+
+    await Promise.all(Object.keys(indexes).map((name) => this.db
+      .collection(name)
+      .createIndexes(indexes[name])
+      .catch((error) => console.log(`Indexes of ${name} not created:`, error.message))));
+  }
+
   /**
    * A function isAlive that returns true when the connection to MongoDB is a
    * success otherwise, false.
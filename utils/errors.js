@@ -0,0 +1,38 @@
+/**
+ * The stable code of an error message: the message in upper case, with underscores
+ * between the words (Parent not found -> PARENT_NOT_FOUND).
+ * @param {String} message - Error message.
+ * @returns {String}
+ */
+export const errorCode = (message) => String(message)
+  .replace(/'/g, '')
+  .toUpperCase()
+  .replace(/[^A-Z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+/**
+ * An error returned to the client by the error handler, with:
+ * - status: the HTTP status code
+ * - message: the error message, returned as error
+ * - code: the stable code of the error, returned as code (default: from the message)
+ */
+export class HttpError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code || errorCode(message);
+  }
+}
+
+/**
+ * The JSON body of an error response: { error, code, requestId }.
+ * @param {Request} req - Express request object.
+ * @param {HttpError} error - Error to return.
+ * @returns {Object}
+ */
+export const errorBody = (req, error) => ({
+  error: error.message,
+  code: error.code,
+  requestId: req.id,
+});
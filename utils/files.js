@@ -0,0 +1,293 @@
+import DBClient from './db';
+import storage from './storage';
+import { HttpError } from './errors';
+import {
+  retainBlob, releaseBlob, storeBlob, hashBuffer, contentKey, blobFields,
+} from './blobs';
+import { sniffMime, readHeader } from './mime';
+import { hasThumbnails, thumbnailStatus, thumbnailJobOptions } from './thumbnails';
+import { fileProcessors, variantStatus } from './processors';
+import { getQueue } from './queues';
+import { checkQuota } from './quotas';
+
+const { ObjectId } = require('mongodb');
+
+export { storingFolder } from './blobs';
+
+/**
+ * Checks the parentId of a new file:
+ * - 0 (the root) is always valid
+ * - If parentId is not a valid ObjectId, or no file is present in DB for this parentId (or
+ * it is in the trash), returns Parent not found
+ * - If the file present in DB for this parentId is not of type folder, returns Parent is
+ * not a folder
+ * @param {String | Number} parentId - ID of the parent.
+ * @returns {Promise<String | null>} The error message, or null if the parent is valid.
+ */
+export const checkParent = async (parentId) => {
+  if (parentId === 0) return null;
+  if (!ObjectId.isValid(parentId)) return 'Parent not found';
+  const parentFile = await DBClient.db
+    .collection('files')
+    .findOne({ _id: ObjectId(parentId), trashedAt: null });
+  if (!parentFile) return 'Parent not found';
+  if (!['folder'].includes(parentFile.type)) return 'Parent is not a folder';
+  return null;
+};
+
+/**
+ * Adds a job in the Bull queue fileQueue to generate the thumbnails of the content of a
+ * file document (for an image, see hasThumbnails) and the outputs of the processors
+ * accepting it (see fileProcessors): the job is retried with a backoff when an output fails
+ * (see thumbnailJobOptions). The ID of the job is recorded on the file document as jobId, to
+ * follow it with GET /jobs/:id.
+ * @param {Object} fileDocument - File document of type=file|image, with the status of its
+ * thumbnails and variants (see thumbnailStatus and variantStatus) - jobId is set on it.
+ * @returns {Promise<Job | null>} The job, or null if the file has nothing to generate.
+ */
+export const queueThumbnails = async (fileDocument) => {
+  if (!hasThumbnails(fileDocument) && !fileProcessors(fileDocument).length) return null;
+  const job = await getQueue('fileQueue').add({
+    userId: fileDocument.userId,
+    fileId: fileDocument._id,
+  }, thumbnailJobOptions());
+  Object.assign(fileDocument, { jobId: job.id });
+  await DBClient.db
+    .collection('files')
+    .updateOne({ _id: fileDocument._id }, { $set: { jobId: job.id } });
+  return job;
+};
+
+/**
+ * Adds a file document in the collection files (with createdAt and updatedAt set to now,
+ * and version 1 for a type=file|image) and adds a job in the Bull queue fileQueue to generate
+ * its thumbnails and processor outputs (their status pending is recorded as thumbnails and
+ * variants, and the ID of the job as jobId).
+ * @param {Object} dbFile - File document to insert (_id is set on it).
+ * @returns {Promise<Object>} The inserted file document.
+ */
+export const insertFile = async (dbFile) => {
+  const now = new Date();
+  Object.assign(dbFile, { createdAt: now, updatedAt: now });
+  if (!['folder'].includes(dbFile.type)) Object.assign(dbFile, { version: 1 });
+  const thumbnails = thumbnailStatus(dbFile);
+  if (thumbnails) Object.assign(dbFile, { thumbnails });
+  const variants = variantStatus(dbFile);
+  if (variants) Object.assign(dbFile, { variants });
+  await DBClient.db.collection('files').insertOne(dbFile);
+
+  await queueThumbnails(dbFile);
+
+  return dbFile;
+};
+
+/**
+ * Removes file documents just added (see insertFile), with their jobs and their blob
+ * references.
+ * @param {Array<Object>} dbFiles - File documents inserted.
+ * @returns {Promise<void>}
+ */
+const removeInsertedFiles = async (dbFiles) => {
+  await DBClient.db
+    .collection('files')
+    .deleteMany({ _id: { $in: dbFiles.map((dbFile) => dbFile._id).filter((id) => id) } });
+  await Promise.all(dbFiles.map(async (dbFile) => {
+    const job = dbFile.jobId ? await getQueue('fileQueue').getJob(dbFile.jobId) : null;
+    if (job) await job.remove().catch(() => {});
+    await releaseBlob(dbFile);
+  }));
+};
+
+/**
+ * Adds a file document of a user like insertFile, then checks the quotas of the user again
+ * with the file counted: concurrent uploads can all pass checkQuota before any of them is
+ * inserted.
+ * - If a quota is exceeded, the file document, its job and its blob reference are removed,
+ * and it fails with the error of checkQuota with a status code 403
+ * @param {Object} dbFile - File document to insert (_id is set on it).
+ * @param {Object} user - Owner of the file.
+ * @returns {Promise<Object>} The inserted file document.
+ */
+export const insertFileWithinQuota = async (dbFile, user) => {
+  await insertFile(dbFile);
+  const quotaError = await checkQuota(user, 0, 0);
+  if (!quotaError) return dbFile;
+
+  await removeInsertedFiles([dbFile]);
+  throw new HttpError(403, quotaError);
+};
+
+/**
+ * Retrieves all the descendants of a folder by walking down the parentId links.
+ * @param {Object} fileDocument - Root of the subtree.
+ * @param {Object} query - (optional) Filter applied at every level: the children of a file
+ * filtered out are not walked.
+ * @returns {Promise<Array<Object>>}
+ */
+export const findDescendants = async (fileDocument, query = {}) => {
+  const walk = async (parents) => {
+    const parentIds = parents
+      .filter((file) => ['folder'].includes(file.type))
+      .map((file) => file._id.toString());
+    if (!parentIds.length) return [];
+
+    const children = await DBClient.db
+      .collection('files')
+      .find({ ...query, parentId: { $in: parentIds } })
+      .toArray();
+    return children.concat(await walk(children));
+  };
+  return walk([fileDocument]);
+};
+
+/**
+ * Copies a file, or a folder and all its descendants (except the ones in the trash):
+ * - Each copy references the same blob as the original content, with its thumbnails and
+ * processor outputs already ready
+ * - Each copy is added like a new upload, so the thumbnail jobs are added in fileQueue
+ * - If a copy fails, the copies already added are removed (with their jobs and blob
+ * references) before failing
+ * @param {Object} fileDocument - File document to copy.
+ * @param {String | Number} parentId - ID of the parent of the copy (0 -> the root).
+ * @param {String} name - (optional) Name of the copy, default: the name of the file.
+ * @param {ObjectId} userId - (optional) Owner of the copy, default: the owner of the file.
+ * @returns {Promise<Object>} The file document of the copy.
+ */
+export const copyTree = async (fileDocument, parentId, name, userId) => {
+  const descendants = await findDescendants(fileDocument, { trashedAt: null });
+  const copies = [];
+
+  const copyOne = async (file, idParent, fileName) => {
+    const dbFile = {
+      userId: userId || file.userId,
+      name: fileName,
+      type: file.type,
+      isPublic: file.isPublic,
+      parentId: idParent,
+    };
+    const blob = file.hash ? await retainBlob(file.hash) : null;
+    if (blob) {
+      Object.assign(dbFile, blobFields(file.hash, blob.size), { mimeType: file.mimeType });
+      ['thumbnails', 'variants']
+        .filter((field) => file[field] !== undefined)
+        .forEach((field) => { dbFile[field] = file[field]; });
+    } else if (contentKey(file)) {
+      const content = await storage.get(contentKey(file));
+      dbFile.mimeType = sniffMime(await readHeader(content), file.name);
+      Object.assign(dbFile, await storeBlob(content, hashBuffer(content), content.length));
+    }
+    copies.push(dbFile);
+    await insertFile(dbFile);
+
+    const children = descendants
+      .filter((child) => child.parentId.toString() === file._id.toString());
+    const results = await Promise.allSettled(children
+      .map((child) => copyOne(child, dbFile._id.toString(), child.name)));
+    const failure = results.find((result) => result.status === 'rejected');
+    if (failure) throw failure.reason;
+    return dbFile;
+  };
+  try {
+    return await copyOne(fileDocument, parentId, name || fileDocument.name);
+  } catch (error) {
+    await removeInsertedFiles(copies);
+    throw error;
+  }
+};
+
+/**
+ * Copies a file or a folder for a user like copyTree, then checks the quotas of the user
+ * again with the copies counted (see insertFileWithinQuota):
+ * - If a quota is exceeded, all the copies are removed (with their jobs and blob references)
+ * and it fails with the error of checkQuota with a status code 403
+ * @param {Object} fileDocument - File document to copy.
+ * @param {String | Number} parentId - ID of the parent of the copy (0 -> the root).
+ * @param {String} name - (optional) Name of the copy, default: the name of the file.
+ * @param {Object} user - Owner of the copy.
+ * @returns {Promise<Object>} The file document of the copy.
+ */
+export const copyTreeWithinQuota = async (fileDocument, parentId, name, user) => {
+  const copy = await copyTree(fileDocument, parentId, name, user._id);
+  const quotaError = await checkQuota(user, 0, 0);
+  if (!quotaError) return copy;
+
+  await removeInsertedFiles([copy].concat(await findDescendants(copy)));
+  throw new HttpError(403, quotaError);
+};
+
+/**
+ * Retrieves all the ancestors of a file by walking up the parentId links.
+ * @param {Object} fileDocument - File document from DB.
+ * @returns {Promise<Array<Object>>} The ancestor folders, from the root to the parent.
+ */
+export const findAncestors = async (fileDocument) => {
+  const walk = async (file, seen) => {
+    if (!file.parentId || file.parentId === '0' || seen.includes(file.parentId.toString())) return [];
+
+    const parentFile = await DBClient.db
+      .collection('files')
+      .findOne({ _id: ObjectId(file.parentId) });
+    if (!parentFile) return [];
+    return (await walk(parentFile, seen.concat([parentFile._id.toString()]))).concat([parentFile]);
+  };
+  return walk(fileDocument, [fileDocument._id.toString()]);
+};
+
+/**
+ * The public representation of a file document.
+ * @param {Object} fileDocument - File document from DB.
+ * @returns {Object}
+ */
+export const fileResponse = (fileDocument) => ({
+  id: fileDocument._id,
+  userId: fileDocument.userId,
+  name: fileDocument.name,
+  type: fileDocument.type,
+  isPublic: fileDocument.isPublic,
+  parentId: fileDocument.parentId,
+  size: fileDocument.size,
+  mimeType: fileDocument.mimeType,
+  checksum: fileDocument.checksum,
+  version: fileDocument.version,
+  jobId: fileDocument.jobId,
+  createdAt: fileDocument.createdAt,
+  updatedAt: fileDocument.updatedAt,
+});
+
+/**
+ * Builds the nested tree of a file document:
+ * - Each node is the public representation of a file (see fileResponse) with files, the number
+ * of files and images in its subtree, and for a folder size, the total size of its subtree
+ * - The children of a folder are listed in children (the folders first, then by name), down
+ * to depth levels - the folders deeper have no children attribute, but their size and files
+ * still count all their subtree
+ * @param {Object} fileDocument - Root of the tree.
+ * @param {Array<Object>} descendants - All the descendants of the root (see findDescendants).
+ * @param {Number} depth - Number of levels of children to return.
+ * @returns {Object}
+ */
+export const fileTree = (fileDocument, descendants, depth) => {
+  const childrenOf = {};
+  descendants.forEach((file) => {
+    const parentId = file.parentId.toString();
+    if (!childrenOf[parentId]) childrenOf[parentId] = [];
+    childrenOf[parentId].push(file);
+  });
+
+  const build = (file, level) => {
+    if (!['folder'].includes(file.type)) return { ...fileResponse(file), files: 1 };
+
+    const children = (childrenOf[file._id.toString()] || [])
+      .sort((a, b) => (a.type === 'folder' ? 0 : 1) - (b.type === 'folder' ? 0 : 1)
+        || a.name.localeCompare(b.name))
+      .map((child) => build(child, level + 1));
+    const node = {
+      ...fileResponse(file),
+      size: children.reduce((total, child) => total + (child.size || 0), 0),
+      files: children.reduce((total, child) => total + child.files, 0),
+    };
+    if (level < depth) node.children = children;
+    return node;
+  };
+  return build(fileDocument, 0);
+};
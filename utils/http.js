@@ -0,0 +1,156 @@
+import storage from './storage';
+import { contentKey } from './blobs';
+import { HttpError, errorBody } from './errors';
+import { thumbnailSizes, hasThumbnails } from './thumbnails';
+import { transformedImage } from './transforms';
+import { processors } from './processors';
+
+const fs = require('fs');
+const mime = require('mime-types');
+
+/**
+ * Sends a file content with the support of the conditional and Range requests:
+ * - ETag and Last-Modified headers are computed from the size and the modification
+ * date of the content
+ * - If If-None-Match or If-Modified-Since match, return nothing with a status code 304
+ * - If a single byte range is requested (and If-Range, when present, still matches), return
+ * this part of the content with a status code 206
+ * - If the range can't be satisfied, return nothing with a status code 416
+ * - Otherwise, return the whole content with a status code 200
+ * - onDownload is awaited with the range sent (null for the whole content) before sending any
+ * content - not for the 304 nor the 416: it can fail to refuse the download
+ * @param {Request} req - Express request object.
+ * @param {Response} res - Express response object.
+ * @param {Object} content - { size, mtime, contentType, createStream, onDownload } where
+ * createStream takes an optional { start, end } (end included) and returns a readable stream,
+ * and onDownload (optional) is an async function taking the range.
+ * @returns {Promise<Response>}
+ */
+const sendContent = async (req, res, content) => {
+  const {
+    size, mtime, contentType, createStream, onDownload,
+  } = content;
+  const etag = `"${size.toString(16)}-${mtime.getTime().toString(16)}"`;
+  const lastModified = mtime.toUTCString();
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', lastModified);
+
+  if (req.fresh) return res.status(304).end();
+
+  let range = null;
+  const ifRange = req.header('If-Range');
+  if (req.header('Range') && (!ifRange || ifRange === etag || ifRange === lastModified)) {
+    const ranges = req.range(size, { combine: true });
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) [range] = ranges;
+  }
+  if (onDownload) {
+    await onDownload(range).catch((error) => {
+      ['Content-Type', 'Accept-Ranges', 'ETag', 'Last-Modified'].forEach((header) => res.removeHeader(header));
+      throw error;
+    });
+  }
+
+  let stream;
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+    stream = createStream(range);
+  } else {
+    res.status(200);
+    res.setHeader('Content-Length', size);
+    stream = createStream();
+  }
+
+  stream.on('error', () => {
+    if (res.headersSent) return res.destroy();
+    ['Content-Type', 'Content-Length', 'Content-Range'].forEach((header) => res.removeHeader(header));
+    return res.status(404).send(errorBody(req, new HttpError(404, 'Not found')));
+  });
+  return stream.pipe(res);
+};
+
+/**
+ * Sends the content of a file document, or one of its thumbnails or processor outputs, with
+ * sendContent:
+ * - If the type of the file document is folder, fails with an error A folder doesn't have
+ * content with a status code 400
+ * - options.size: (optional) name of the size of the thumbnail to send instead of the original
+ * content - if it is not one of THUMBNAIL_SIZES, fails with an error Not found with a status
+ * code 404
+ * - options.variant: (optional) name of the processor output to send instead of the original
+ * content (preview, text, poster...) - if it is not the name of a processor, fails with an
+ * error Invalid variant with a status code 400
+ * - options.transform: (optional) transform from parseTransform to send a transformed image,
+ * generated on demand and cached - if the file is not an image, fails with an error Not an
+ * image with a status code 400
+ * - If the thumbnail or the output is not generated yet by the worker (its status is
+ * pending), fails with an error Thumbnail pending or Variant pending with a status code 404
+ * and a header Retry-After
+ * - If the content is not present in the storage, fails with an error Not found with a status
+ * code 404
+ * - The MIME-type is the one of the thumbnail or the output, or the one detected at upload
+ * (mimeType), or for a file uploaded before the detection, the one based on the name of the
+ * file with the module mime-types
+ * @param {Request} req - Express request object.
+ * @param {Response} res - Express response object.
+ * @param {Object} fileDocument - File document from DB.
+ * @param {Object} options - (optional) { size, variant, transform, onDownload } where
+ * onDownload is called before a download (see sendContent)
+ * @returns {Promise<Response>}
+ */
+export const sendFile = async (req, res, fileDocument, options = {}) => {
+  const {
+    size, variant, transform, onDownload,
+  } = options;
+  if (['folder'].includes(fileDocument.type)) throw new HttpError(400, "A folder doesn't have content");
+
+  if (transform) {
+    if (!hasThumbnails(fileDocument) || !contentKey(fileDocument)) throw new HttpError(400, 'Not an image');
+    const image = await transformedImage(contentKey(fileDocument), transform);
+    const stats = await fs.promises.stat(image.path).catch(() => null);
+    if (!stats) throw new HttpError(404, 'Not found');
+    return sendContent(req, res, {
+      size: stats.size,
+      mtime: fileDocument.updatedAt || fileDocument.createdAt || stats.mtime,
+      contentType: image.mimeType,
+      createStream: (range) => fs.createReadStream(image.path, range),
+      onDownload,
+    });
+  }
+
+  if (variant && !processors.some(({ name }) => name === String(variant))) throw new HttpError(400, 'Invalid variant');
+  if (size && !thumbnailSizes().some(({ name }) => name === String(size))) throw new HttpError(404, 'Not found');
+
+  const suffix = variant || size;
+  const statuses = variant ? fileDocument.variants : fileDocument.thumbnails;
+  const key = suffix ? `${contentKey(fileDocument)}_${suffix}` : contentKey(fileDocument);
+  const output = suffix && statuses ? statuses[suffix] : null;
+
+  const stats = await storage.stat(key).catch(() => null);
+  if (!stats && output && output.status === 'pending') {
+    res.setHeader('Retry-After', '5');
+    throw new HttpError(404, variant ? 'Variant pending' : 'Thumbnail pending');
+  }
+  if (!stats) throw new HttpError(404, 'Not found');
+
+  const contentType = output && output.mimeType
+    ? output.mimeType
+    : mime.contentType(fileDocument.mimeType || fileDocument.name);
+  return sendContent(req, res, {
+    size: stats.size,
+    mtime: stats.mtime,
+    contentType: contentType || 'application/octet-stream',
+    createStream: (range) => storage.stream(key, range),
+    onDownload,
+  });
+};
+
+export default sendContent;
@@ -0,0 +1,60 @@
+const fs = require('fs');
+
+/**
+ * The mail transport printing the messages in the console, for the development.
+ * Every transport provides the same operation:
+ * - send({ to, subject, text }) to deliver a message, returning a Promise
+ * Another transport (SMTP, an email API...) is plugged with setMailTransport.
+ */
+class ConsoleTransport {
+  constructor() {
+    this.output = console;
+  }
+
+  async send(message) {
+    this.output.log(`To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+  }
+}
+
+/**
+ * The mail transport writing each message as a JSON file, for the tests:
+ * - folder: from the environment variable MAIL_FOLDER (default: /tmp/files_manager_mails)
+ * - the files are named <timestamp>-<recipient>.json, with the characters of the recipient
+ * other than letters, digits, ., @, + and - replaced by _
+ */
+class FileTransport {
+  constructor() {
+    this.folder = process.env.MAIL_FOLDER || '/tmp/files_manager_mails';
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.folder, { recursive: true });
+    const recipient = String(message.to).replace(/[^\w.@+-]/g, '_');
+    await fs.promises.writeFile(
+      `${this.folder}/${Date.now()}-${recipient}.json`,
+      JSON.stringify({ ...message, date: new Date() }),
+    );
+  }
+}
+
+/**
+ * The mail transport used, selected by the environment variable MAIL_TRANSPORT:
+ * - console (default): ConsoleTransport
+ * - file: FileTransport
+ */
+let transport = process.env.MAIL_TRANSPORT === 'file' ? new FileTransport() : new ConsoleTransport();
+
+/**
+ * Replaces the mail transport.
+ * @param {Object} mailTransport - Object with a send({ to, subject, text }) function.
+ */
+export const setMailTransport = (mailTransport) => {
+  transport = mailTransport;
+};
+
+/**
+ * Sends a message with the mail transport.
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+export const sendMail = (message) => transport.send(message);
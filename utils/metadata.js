@@ -0,0 +1,90 @@
+import DBClient from './db';
+import storage from './storage';
+import { contentKey } from './blobs';
+import { sniffMime, streamHeader, sniffLength } from './mime';
+
+const crypto = require('crypto');
+const mime = require('mime-types');
+
+/**
+ * Computes the SHA-256 hash of a content of the storage without loading it in memory.
+ * @param {String} key - Storage key of the content.
+ * @returns {Promise<String>} The hash in hexadecimal.
+ */
+const hashStored = (key) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  storage.stream(key)
+    .on('data', (chunk) => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * Computes the metadata missing on a file document uploaded before they were recorded:
+ * - createdAt and updatedAt: the date of creation of its ObjectId
+ * - For a type=file|image:
+ * + size: the size of the blob, or of the content in the storage
+ * + checksum: the hash of the blob, or the SHA-256 of the content in the storage
+ * + mimeType: detected from the first bytes of the content, or from the name if the
+ * content is no longer in the storage
+ * @param {Object} fileDocument - File document from DB.
+ * @returns {Promise<Object>} The fields to set.
+ */
+export const missingMetadata = async (fileDocument) => {
+  const fields = {};
+  if (!fileDocument.createdAt) fields.createdAt = fileDocument._id.getTimestamp();
+  if (!fileDocument.updatedAt) fields.updatedAt = fileDocument.createdAt || fields.createdAt;
+
+  const key = contentKey(fileDocument);
+  if (!key || ['folder'].includes(fileDocument.type)) return fields;
+
+  const stats = await storage.stat(key).catch(() => null);
+  if (fileDocument.size === undefined) {
+    const blob = fileDocument.hash
+      ? await DBClient.db.collection('blobs').findOne({ _id: fileDocument.hash })
+      : null;
+    if (blob) fields.size = blob.size;
+    else if (stats) fields.size = stats.size;
+  }
+  if (!fileDocument.checksum) {
+    if (fileDocument.hash) fields.checksum = fileDocument.hash;
+    else if (stats) fields.checksum = await hashStored(key);
+  }
+  if (!fileDocument.mimeType && stats) {
+    const header = await streamHeader(storage.stream(key, { start: 0, end: sniffLength - 1 }));
+    fields.mimeType = sniffMime(header, fileDocument.name);
+  } else if (!fileDocument.mimeType) {
+    fields.mimeType = mime.lookup(fileDocument.name) || 'application/octet-stream';
+  }
+  return fields;
+};
+
+/**
+ * Records the missing metadata (see missingMetadata) on all the file documents uploaded
+ * before they were recorded, one file at a time - a file whose content can't be read
+ * is logged and skipped.
+ * @returns {Promise<Number>} The number of file documents updated.
+ */
+export const backfillMetadata = async () => {
+  const files = DBClient.db.collection('files');
+  const documents = await files
+    .find({
+      $or: [
+        { createdAt: { $exists: false } },
+        { type: { $ne: 'folder' }, mimeType: { $exists: false } },
+      ],
+    })
+    .toArray();
+
+  return documents.reduce((previous, fileDocument) => previous.then(async (count) => {
+    try {
+      const fields = await missingMetadata(fileDocument);
+      if (!Object.keys(fields).length) return count;
+      await files.updateOne({ _id: fileDocument._id }, { $set: fields });
+      return count + 1;
+    } catch (error) {
+      console.log(`Metadata of ${fileDocument._id} not updated:`, error.message);
+      return count;
+    }
+  }), Promise.resolve(0));
+};
@@ -0,0 +1,94 @@
+import { v4 as uuidv4 } from 'uuid';
+import getAuthUser, { isAdmin } from './auth';
+import { HttpError, errorBody } from './errors';
+
+/**
+ * Tags each request with an ID, returned in the header X-Request-Id and in the errors:
+ * the header X-Request-Id of the request if it is valid (up to 64 letters, digits, - and _),
+ * otherwise a new uuidv4.
+ * @param {Request} req - Express request object.
+ * @param {Response} res - Express response object.
+ * @param {Function} next - Next middleware.
+ */
+export const requestId = (req, res, next) => {
+  const header = req.header('X-Request-Id');
+  req.id = header && /^[\w-]{1,64}$/.test(header) ? header : uuidv4();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+/**
+ * Authenticates the request with the header X-Token (a token or an API key, see getAuthUser)
+ * and sets the user document as req.user:
+ * - If no user is found, fails with an error Unauthorized with a status code 401
+ * @param {String} scope - Scope needed with an API key (read, write, publish or admin).
+ * @param {Object} options - (optional) { optional: true } to continue without user (req.user
+ * is null) instead of failing.
+ * @returns {Function} The middleware.
+ */
+export const authenticate = (scope, options = {}) => (req, res, next) => {
+  getAuthUser(req, scope)
+    .then((user) => {
+      if (!user && !options.optional) throw new HttpError(401, 'Unauthorized');
+      req.user = user;
+      next();
+    })
+    .catch(next);
+};
+
+/**
+ * Restricts the request to the admins (see isAdmin), after authenticate:
+ * - If the user is not an admin, fails with an error Forbidden with a status code 403
+ * @param {Request} req - Express request object.
+ * @param {Response} res - Express response object.
+ * @param {Function} next - Next middleware.
+ */
+export const requireAdmin = (req, res, next) => {
+  next(isAdmin(req.user) ? undefined : new HttpError(403, 'Forbidden'));
+};
+
+/**
+ * Validates that route parameters are ObjectIds (24 hexadecimal characters):
+ * - If not, fails with an error Not found with a status code 404
+ * @param {...String} names - Names of the route parameters.
+ * @returns {Function} The middleware.
+ */
+export const validateObjectId = (...names) => (req, res, next) => {
+  const invalid = names.some((name) => !/^[0-9a-fA-F]{24}$/.test(req.params[name] || ''));
+  next(invalid ? new HttpError(404, 'Not found') : undefined);
+};
+
+/**
+ * Fails with an error Not found with a status code 404, for the unknown routes.
+ * @param {Request} req - Express request object.
+ * @param {Response} res - Express response object.
+ * @param {Function} next - Next middleware.
+ */
+export const notFound = (req, res, next) => next(new HttpError(404, 'Not found'));
+
+/**
+ * Returns the errors as JSON: { error, code, requestId } with the status of the error:
+ * - HttpError: its status, message and code
+ * - A request body which is not valid JSON: Invalid JSON with a status code 400
+ * - A request body too large: Request too large with a status code 413
+ * - Any other error is logged with the request ID and returned as Internal server error with
+ * a status code 500
+ * @param {Error} err - Error thrown or passed to next.
+ * @param {Request} req - Express request object.
+ * @param {Response} res - Express response object.
+ * @param {Function} next - Next middleware.
+ */
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  let error = err;
+  if (err.type === 'entity.parse.failed') {
+    error = new HttpError(400, 'Invalid JSON');
+  } else if (err.type === 'entity.too.large') {
+    error = new HttpError(413, 'Request too large');
+  } else if (!(err instanceof HttpError)) {
+    console.error(`[${req.id}]`, err);
+    error = new HttpError(500, 'Internal server error');
+  }
+  return res.status(error.status).send(errorBody(req, error));
+};
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const mime = require('mime-types');
+
+/**
+ * The number of bytes read at the beginning of a content to detect its MIME type.
+ */
+export const sniffLength = 4100;
+
+/**
+ * The signatures (magic bytes) of the binary formats: the bytes expected at an offset of
+ * the content.
+ */
+const signatures = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { type: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { type: 'image/gif', bytes: 'GIF87a' },
+  { type: 'image/gif', bytes: 'GIF89a' },
+  { type: 'image/webp', bytes: 'WEBP', offset: 8 },
+  { type: 'image/tiff', bytes: [0x49, 0x49, 0x2A, 0x00] },
+  { type: 'image/tiff', bytes: [0x4D, 0x4D, 0x00, 0x2A] },
+  { type: 'image/bmp', bytes: 'BM' },
+  { type: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { type: 'application/pdf', bytes: '%PDF-' },
+  { type: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { type: 'application/gzip', bytes: [0x1F, 0x8B] },
+  { type: 'application/x-bzip2', bytes: 'BZh' },
+  { type: 'application/x-7z-compressed', bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] },
+  { type: 'application/vnd.rar', bytes: [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07] },
+  { type: 'application/vnd.sqlite3', bytes: 'SQLite format 3' },
+  { type: 'application/wasm', bytes: [0x00, 0x61, 0x73, 0x6D] },
+  { type: 'audio/wav', bytes: 'WAVE', offset: 8 },
+  { type: 'video/x-msvideo', bytes: 'AVI ', offset: 8 },
+  { type: 'audio/mpeg', bytes: 'ID3' },
+  { type: 'audio/mpeg', bytes: [0xFF, 0xFB] },
+  { type: 'audio/ogg', bytes: 'OggS' },
+  { type: 'audio/flac', bytes: 'fLaC' },
+  { type: 'video/webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+  { type: 'font/woff', bytes: 'wOFF' },
+  { type: 'font/woff2', bytes: 'wOF2' },
+];
+
+/**
+ * The MIME types of the ISO media files (MP4, QuickTime, HEIF...) by brand, the 4 bytes
+ * following ftyp - the other brands are video/mp4.
+ */
+const isoBrands = {
+  'qt  ': 'video/quicktime',
+  'M4A ': 'audio/mp4',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heif',
+  avif: 'image/avif',
+};
+
+/**
+ * Checks if a signature is present in a header.
+ * @param {Buffer} header - Beginning of the content.
+ * @param {Object} signature - { bytes, offset } with bytes as an array or a string.
+ * @returns {boolean}
+ */
+const matches = (header, { bytes, offset = 0 }) => {
+  const expected = Buffer.from(bytes);
+  return header.length >= offset + expected.length
+    && header.slice(offset, offset + expected.length).equals(expected);
+};
+
+/**
+ * Checks if a header looks like text: no NUL byte and valid UTF-8 (a character cut at the
+ * end of the header is ignored).
+ * @param {Buffer} header - Beginning of the content.
+ * @returns {boolean}
+ */
+const isText = (header) => {
+  if (header.includes(0)) return false;
+  const text = header.slice(0, Math.max(header.length - 3, 0)).toString('utf8');
+  return !text.includes('\uFFFD');
+};
+
+/**
+ * Checks if a MIME type is a text format.
+ * @param {String} type - MIME type.
+ * @returns {boolean}
+ */
+const isTextType = (type) => /^text\//.test(type)
+  || /[+/](json|xml|javascript|ecmascript)$/.test(type)
+  || ['application/x-sh', 'application/x-httpd-php', 'image/svg+xml'].includes(type);
+
+/**
+ * Detects the MIME type of a content from its first bytes (magic bytes), the extension of
+ * the filename being only trusted when it doesn't contradict the content:
+ * - A binary format with a signature: its MIME type - for a ZIP archive, the type of the
+ * extension when it is a format based on ZIP (docx, xlsx, odt, epub, jar...)
+ * - A text content: the type of the extension when it is a text format (json, csv, html,
+ * svg...), otherwise text/plain
+ * - Otherwise: application/octet-stream
+ * @param {Buffer} header - First bytes of the content (up to sniffLength).
+ * @param {String} name - (optional) Filename.
+ * @returns {String}
+ */
+export const sniffMime = (header, name) => {
+  const extensionType = (name && mime.lookup(name)) || null;
+
+  if (matches(header, { bytes: 'ftyp', offset: 4 })) {
+    return isoBrands[header.slice(8, 12).toString('latin1')] || 'video/mp4';
+  }
+  const signature = signatures.find((item) => matches(header, item));
+  if (signature) {
+    if (signature.type === 'application/zip' && extensionType
+      && (/zip$/.test(extensionType) || /^application\/(vnd\.(openxmlformats|oasis)|epub|java-archive)/.test(extensionType))) {
+      return extensionType;
+    }
+    return signature.type;
+  }
+
+  if (isText(header)) {
+    if (extensionType && isTextType(extensionType)) return extensionType;
+    if (/^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/i.test(header.toString('utf8'))) return 'image/svg+xml';
+    return 'text/plain';
+  }
+  return 'application/octet-stream';
+};
+
+/**
+ * Reads the first bytes of a stream (up to sniffLength), then closes it.
+ * @param {Readable} stream - Stream of the content.
+ * @returns {Promise<Buffer>}
+ */
+export const streamHeader = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let length = 0;
+  const done = () => resolve(Buffer.concat(chunks).slice(0, sniffLength));
+
+  stream.on('data', (chunk) => {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= sniffLength) {
+      stream.destroy();
+      done();
+    }
+  });
+  stream.on('error', reject);
+  stream.on('end', done);
+});
+
+/**
+ * Reads the first bytes of a content (up to sniffLength).
+ * @param {Buffer | String} content - The content, or the path of a local file containing it.
+ * @returns {Promise<Buffer>}
+ */
+export const readHeader = async (content) => {
+  if (Buffer.isBuffer(content)) return content.slice(0, sniffLength);
+  return streamHeader(fs.createReadStream(content, { start: 0, end: sniffLength - 1 }));
+};
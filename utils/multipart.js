@@ -0,0 +1,99 @@
+import { v4 as uuidv4 } from 'uuid';
+
+const busboy = require('busboy');
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Maximum size in bytes of an uploaded file:
+ * - from the environment variable MAX_UPLOAD_SIZE
+ * - default: 1 GiB
+ * @returns {Number}
+ */
+export const maxUploadSize = () => Number(process.env.MAX_UPLOAD_SIZE) || 1024 * 1024 * 1024;
+
+/**
+ * Parses a multipart/form-data request without buffering the file in memory:
+ * - Every text field is collected in fields
+ * - The first file part is streamed to <dir>/<UUID> as it arrives, its SHA-256 hash is
+ * computed on the way
+ * - If the file part grows over maxSize bytes, the parsing is aborted, the
+ * partial file is removed and the promise is rejected with an error of code
+ * LIMIT_FILE_SIZE
+ * @param {Request} req - Express request object.
+ * @param {String} dir - Folder where the file part is stored.
+ * @param {Number} maxSize - Maximum size of the file part in bytes.
+ * @returns {Promise<Object>} { fields, file } - file is null when no file part was sent,
+ * otherwise { localPath, size, hash, filename, mimeType }.
+ */
+export const parseMultipart = (req, dir, maxSize) => new Promise((resolve, reject) => {
+  let parser;
+  try {
+    parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: maxSize } });
+  } catch (error) {
+    reject(error);
+    return;
+  }
+
+  const fields = {};
+  let file = null;
+  let output = null;
+  let writing = Promise.resolve();
+  let failed = false;
+
+  const fail = (error) => {
+    if (failed) return;
+    failed = true;
+    req.unpipe(parser);
+    req.resume();
+    if (file) {
+      const { localPath } = file;
+      fs.unlink(localPath, () => {});
+      output.once('close', () => fs.unlink(localPath, () => {}));
+      output.destroy();
+    }
+    reject(error);
+  };
+
+  parser.on('field', (name, value) => {
+    fields[name] = value;
+  });
+
+  parser.on('file', (name, stream, info) => {
+    file = {
+      localPath: `${dir}/${uuidv4()}`,
+      size: 0,
+      filename: info.filename,
+      mimeType: info.mimeType,
+    };
+    const hash = crypto.createHash('sha256');
+    output = fs.createWriteStream(file.localPath);
+    writing = new Promise((resolveWrite, rejectWrite) => {
+      output.on('finish', resolveWrite);
+      output.on('error', rejectWrite);
+    });
+    writing.catch(fail);
+
+    stream.on('data', (chunk) => {
+      file.size += chunk.length;
+      hash.update(chunk);
+    });
+    stream.on('end', () => {
+      file.hash = hash.digest('hex');
+    });
+    stream.on('limit', () => {
+      const error = new Error('File too large');
+      error.code = 'LIMIT_FILE_SIZE';
+      fail(error);
+    });
+    stream.pipe(output);
+  });
+
+  parser.on('error', fail);
+  parser.on('close', () => {
+    if (failed) return;
+    writing.then(() => resolve({ fields, file }), fail);
+  });
+
+  req.pipe(parser);
+});
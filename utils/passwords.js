@@ -0,0 +1,76 @@
+import sha1 from 'sha1';
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * @param {String} password - Password in clear.
+ * @returns {Promise<String>} The hash as scrypt$<salt>$<key>, in hexadecimal.
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+};
+
+/**
+ * Checks a password against a hash, in constant time:
+ * - a hash computed by hashPassword
+ * - or the unsalted SHA1 of the password, as stored for the users created before scrypt
+ * @param {String} password - Password in clear.
+ * @param {String} hash - Hash stored.
+ * @returns {Promise<boolean>}
+ */
+export const verifyPassword = async (password, hash) => {
+  if (/^[0-9a-f]{40}$/.test(hash || '')) {
+    return crypto.timingSafeEqual(Buffer.from(sha1(password), 'hex'), Buffer.from(hash, 'hex'));
+  }
+
+  const [algorithm, salt, key] = (hash || '').split('$');
+  if (algorithm !== 'scrypt' || !salt || !key) return false;
+
+  const expected = Buffer.from(key, 'hex');
+  const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Checks if a hash was not computed by hashPassword (like the legacy SHA1) and must be
+ * replaced the next time the password is known.
+ * @param {String} hash - Hash stored.
+ * @returns {boolean}
+ */
+export const needsRehash = (hash) => !(hash || '').startsWith('scrypt$');
+
+/**
+ * The password-strength rules, from the environment variables:
+ * - PASSWORD_MIN_LENGTH: minimal number of characters (default: 8)
+ * - PASSWORD_REQUIRE_LOWERCASE, PASSWORD_REQUIRE_UPPERCASE, PASSWORD_REQUIRE_DIGIT and
+ * PASSWORD_REQUIRE_SYMBOL: true to require at least one character of this kind (default: false)
+ * @returns {Object}
+ */
+export const passwordRules = () => ({
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  lowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+  uppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+  digit: process.env.PASSWORD_REQUIRE_DIGIT === 'true',
+  symbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+});
+
+/**
+ * Checks a new password against the password-strength rules.
+ * @param {String} password - Password in clear.
+ * @returns {String | null} The error message, or null if the password is strong enough.
+ */
+export const checkPasswordStrength = (password) => {
+  const rules = passwordRules();
+  if (password.length < rules.minLength) return `Password must be at least ${rules.minLength} characters`;
+  if (rules.lowercase && !/[a-z]/.test(password)) return 'Password must contain a lowercase letter';
+  if (rules.uppercase && !/[A-Z]/.test(password)) return 'Password must contain an uppercase letter';
+  if (rules.digit && !/[0-9]/.test(password)) return 'Password must contain a digit';
+  if (rules.symbol && !/[^A-Za-z0-9]/.test(password)) return 'Password must contain a symbol';
+  return null;
+};
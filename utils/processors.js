@@ -0,0 +1,210 @@
+import { v4 as uuidv4 } from 'uuid';
+import DBClient from './db';
+import storage from './storage';
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * The maximum time of a command run by a processor, in milliseconds:
+ * - from the environment variable PROCESSOR_TIMEOUT
+ * - default: 60 seconds
+ * @returns {Number}
+ */
+export const processorTimeout = () => Number(process.env.PROCESSOR_TIMEOUT) || 60 * 1000;
+
+/**
+ * The maximum size of the text extracted from a document, in bytes:
+ * - from the environment variable PROCESSOR_TEXT_LIMIT
+ * - default: 1 MiB
+ * @returns {Number}
+ */
+export const textLimit = () => Number(process.env.PROCESSOR_TEXT_LIMIT) || 1024 * 1024;
+
+/**
+ * Runs a locally installed command and returns its standard output.
+ * - If the command is missing, fails with an error <command> is not installed
+ * - If it fails or lasts more than processorTimeout, fails with its error output
+ * @param {String} command - Path or name of the command.
+ * @param {Array<String>} args - Arguments of the command.
+ * @returns {Promise<Buffer>}
+ */
+const run = (command, args) => new Promise((resolve, reject) => {
+  execFile(command, args, {
+    encoding: 'buffer',
+    maxBuffer: 64 * 1024 * 1024,
+    timeout: processorTimeout(),
+  }, (error, stdout, stderr) => {
+    if (error && error.code === 'ENOENT') reject(new Error(`${command} is not installed`));
+    else if (error) reject(new Error(stderr.toString().trim() || error.message));
+    else resolve(stdout);
+  });
+});
+
+/**
+ * Reads the first bytes of a local file.
+ * @param {String} filePath - Location of the file.
+ * @param {Number} length - Number of bytes to read at most.
+ * @returns {Promise<Buffer>}
+ */
+const readStart = async (filePath, length) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(Math.min(length, (await handle.stat()).size));
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    return buffer.slice(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Checks if a MIME type is a text format whose content is its own text.
+ * @param {String} type - MIME type.
+ * @returns {boolean}
+ */
+const isTextType = (type) => /^text\//.test(type) || /[+/](json|xml)$/.test(type);
+
+/**
+ * The processors run by the worker on the files, dispatched by MIME type. A processor is an
+ * object with:
+ * - name: the name of its output, the variant of GET /files/:id/data (the output is stored
+ * under the storage key of the file by appending _<name>)
+ * - accepts(fileDocument): returns true for the files it processes
+ * - process(filePath, fileDocument): returns a Promise of { buffer, mimeType, text } with
+ * the output and, optionally, the text of the document to record for the search (see
+ * storeText)
+ * The commands are the locally installed ones, or the ones of the environment variables
+ * PDFTOPPM_PATH, PDFTOTEXT_PATH and FFMPEG_PATH.
+ */
+export const processors = [
+  {
+    name: 'preview',
+    accepts: (fileDocument) => fileDocument.mimeType === 'application/pdf',
+    process: async (filePath) => ({
+      buffer: await run(process.env.PDFTOPPM_PATH || 'pdftoppm', ['-png', '-f', '1', '-l', '1', '-singlefile', '-scale-to', '1024', filePath]),
+      mimeType: 'image/png',
+    }),
+  },
+  {
+    name: 'text',
+    accepts: (fileDocument) => fileDocument.mimeType === 'application/pdf'
+      || isTextType(fileDocument.mimeType || ''),
+    process: async (filePath, fileDocument) => {
+      const content = fileDocument.mimeType === 'application/pdf'
+        ? await run(process.env.PDFTOTEXT_PATH || 'pdftotext', ['-enc', 'UTF-8', filePath, '-'])
+        : await readStart(filePath, textLimit());
+      const text = content.slice(0, textLimit()).toString('utf8').replace(/\uFFFD$/, '');
+      return {
+        buffer: Buffer.from(text),
+        mimeType: 'text/plain; charset=utf-8',
+        text,
+      };
+    },
+  },
+  {
+    name: 'poster',
+    accepts: (fileDocument) => /^video\//.test(fileDocument.mimeType || ''),
+    process: async (filePath) => {
+      const buffer = await run(process.env.FFMPEG_PATH || 'ffmpeg', ['-v', 'error', '-i', filePath, '-vf', 'thumbnail,scale=min(1280\\,iw):-2', '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'png', '-']);
+      if (!buffer.length) throw new Error('No video frame');
+      return { buffer, mimeType: 'image/png' };
+    },
+  },
+];
+
+/**
+ * Adds a processor (see processors), run by the worker on the files it accepts - a processor
+ * with the same name is replaced.
+ * @param {Object} processor - { name, accepts, process }
+ */
+export const registerProcessor = (processor) => {
+  const index = processors.findIndex((item) => item.name === processor.name);
+  if (index >= 0) processors.splice(index, 1, processor);
+  else processors.push(processor);
+};
+
+/**
+ * The processors accepting a file document.
+ * @param {Object} fileDocument - File document from DB.
+ * @returns {Array<Object>}
+ */
+export const fileProcessors = (fileDocument) => {
+  if (['folder'].includes(fileDocument.type)) return [];
+  return processors.filter((processor) => processor.accepts(fileDocument));
+};
+
+/**
+ * The processing status of the processor outputs of a file document, recorded on it as
+ * variants: for each processor accepting the file, { status, mimeType, error } like the
+ * thumbnails (see thumbnailStatus) - the outputs already ready for the content are kept.
+ * @param {Object} fileDocument - File document (or version document with type).
+ * @returns {Object | null} The status, or null if no processor accepts the file.
+ */
+export const variantStatus = (fileDocument) => {
+  const accepted = fileProcessors(fileDocument);
+  if (!accepted.length) return null;
+  const current = fileDocument.variants || {};
+  const status = {};
+  accepted.forEach(({ name }) => {
+    status[name] = current[name] && current[name].status === 'ready'
+      ? current[name]
+      : { status: 'pending' };
+  });
+  return status;
+};
+
+/**
+ * Records the text extracted from a content, for the search of GET /files: the texts are
+ * kept in the collection texts, under the storage key of the content (the files and versions
+ * sharing a blob share its text), and never loaded with the file documents.
+ * @param {String} key - Storage key of the content.
+ * @param {String} text - Text of the content.
+ * @param {Object} fileDocument - File document from DB (a content without blob is found by
+ * its localPath).
+ * @returns {Promise<void>}
+ */
+export const storeText = async (key, text, fileDocument) => {
+  const localPath = fileDocument.hash ? null : fileDocument.localPath;
+  await DBClient.db
+    .collection('texts')
+    .updateOne(
+      { _id: key },
+      { $set: { text, localPath, updatedAt: new Date() } },
+      { upsert: true },
+    );
+};
+
+/**
+ * Removes the text extracted from a content (see storeText).
+ * @param {String} key - Storage key of the content.
+ * @returns {Promise<void>}
+ */
+export const removeText = async (key) => {
+  await DBClient.db.collection('texts').deleteOne({ _id: key });
+};
+
+/**
+ * Gives a local file with a content of the storage, for the commands of the processors: the
+ * file of the storage itself with the local driver, otherwise a temporary copy.
+ * @param {String} key - Storage key of the content.
+ * @returns {Promise<Object>} { path, cleanup } where cleanup removes the temporary copy.
+ */
+export const localContent = async (key) => {
+  if (storage.localPath) {
+    if (!await storage.exists(key)) throw new Error('Content not found');
+    return { path: storage.localPath(key), cleanup: async () => {} };
+  }
+
+  const tmpPath = path.join(os.tmpdir(), uuidv4());
+  await new Promise((resolve, reject) => {
+    storage.stream(key)
+      .on('error', reject)
+      .pipe(fs.createWriteStream(tmpPath))
+      .on('error', reject)
+      .on('finish', resolve);
+  });
+  return { path: tmpPath, cleanup: () => fs.promises.unlink(tmpPath).catch(() => {}) };
+};
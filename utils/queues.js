@@ -0,0 +1,153 @@
+import { HttpError } from './errors';
+
+const Bull = require('bull');
+
+/**
+ * The names of the Bull queues: fileQueue (thumbnails and processor outputs of the files),
+ * trashQueue (purge of the trash) and metadataQueue (backfill of the metadata).
+ */
+export const queueNames = ['fileQueue', 'trashQueue', 'metadataQueue'];
+
+/**
+ * The number of finished jobs kept in each queue (the oldest ones are removed):
+ * - completed: from the environment variable QUEUE_KEEP_COMPLETED, default: 1000
+ * - failed: from the environment variable QUEUE_KEEP_FAILED, default: 5000
+ * @returns {Object} { removeOnComplete, removeOnFail } for the options of the jobs.
+ */
+export const jobRetention = () => ({
+  removeOnComplete: Number(process.env.QUEUE_KEEP_COMPLETED) || 1000,
+  removeOnFail: Number(process.env.QUEUE_KEEP_FAILED) || 5000,
+});
+
+/**
+ * The Bull queues already created, by name.
+ */
+const queues = {};
+
+/**
+ * The Redis key counting the jobs of a queue finished in a state during a minute.
+ * @param {String} name - Name of the queue.
+ * @param {String} state - completed or failed.
+ * @param {Number} minute - Minutes since the epoch.
+ * @returns {String}
+ */
+const throughputKey = (name, state, minute) => `bull:${name}:throughput:${state}:${minute}`;
+
+/**
+ * Counts a job finished in a state during the current minute (the counter expires after an
+ * hour).
+ * @param {Queue} queue - Bull queue of the job.
+ * @param {String} state - completed or failed.
+ * @returns {Promise<void>}
+ */
+const countFinished = async (queue, state) => {
+  const key = throughputKey(queue.name, state, Math.floor(Date.now() / 60000));
+  await queue.client.multi().incr(key).expire(key, 3660).exec();
+};
+
+/**
+ * Retrieves the Bull queue of a name: it is created at the first call, then the same instance
+ * (and its Redis connections) is shared by all the requests and the worker.
+ * - The finished jobs are kept up to jobRetention
+ * - The jobs finished by this process are counted for the throughput (see queueMetrics): the
+ * completed ones, and the failed ones after their last attempt
+ * @param {String} name - Name of the queue (see queueNames).
+ * @returns {Queue}
+ */
+export const getQueue = (name) => {
+  if (!queues[name]) {
+    const queue = new Bull(name, { defaultJobOptions: jobRetention() });
+    queue.on('completed', () => countFinished(queue, 'completed').catch(() => {}));
+    queue.on('failed', (job) => {
+      if (job.attemptsMade < ((job.opts && job.opts.attempts) || 1)) return;
+      countFinished(queue, 'failed').catch(() => {});
+    });
+    queues[name] = queue;
+  }
+  return queues[name];
+};
+
+/**
+ * Retrieves a job of a queue:
+ * - If the queue is not one of queueNames, fails with an error Invalid queue with a status
+ * code 400
+ * - If no job of the queue has this ID, fails with an error Not found with a status code 404
+ * @param {String} name - Name of the queue.
+ * @param {String} id - ID of the job.
+ * @returns {Promise<Job>}
+ */
+export const findJob = async (name, id) => {
+  if (!queueNames.includes(name)) throw new HttpError(400, 'Invalid queue');
+  const job = await getQueue(name).getJob(id);
+  if (!job) throw new HttpError(404, 'Not found');
+  return job;
+};
+
+/**
+ * Converts a timestamp of Bull (milliseconds) to a date.
+ * @param {Number} timestamp - Timestamp, or nothing.
+ * @returns {Date | null}
+ */
+const toDate = (timestamp) => (timestamp ? new Date(Number(timestamp)) : null);
+
+/**
+ * The public representation of a job:
+ * - state: waiting, active, delayed, completed, failed or paused
+ * - progress: the percentage of the work done, reported by the worker
+ * - attemptsMade and attempts: the number of attempts made and allowed (a failed job is
+ * retried with a backoff until its last attempt)
+ * - error: the reason of the last failure, if any
+ * @param {Job} job - Bull job.
+ * @returns {Promise<Object>}
+ */
+export const jobResponse = async (job) => ({
+  id: job.id,
+  queue: job.queue.name,
+  state: await job.getState(),
+  progress: job.progress(),
+  attemptsMade: job.attemptsMade,
+  attempts: (job.opts && job.opts.attempts) || 1,
+  fileId: job.data.fileId,
+  userId: job.data.userId,
+  error: job.failedReason || null,
+  createdAt: toDate(job.timestamp),
+  processedAt: toDate(job.processedOn),
+  finishedAt: toDate(job.finishedOn),
+});
+
+/**
+ * The metrics of a queue:
+ * - counts: the number of jobs waiting, active, delayed, completed, failed and paused (the
+ * finished jobs kept, see jobRetention) - the depth of the queue is the number of jobs
+ * waiting and delayed
+ * - throughput: the number of jobs completed and failed during the last complete minute and
+ * the last 60 complete minutes, from the counters of the finished jobs by minute
+ * @param {String} name - Name of the queue (see queueNames).
+ * @returns {Promise<Object>}
+ */
+export const queueMetrics = async (name) => {
+  const queue = getQueue(name);
+  const counts = await queue.getJobCounts();
+
+  const currentMinute = Math.floor(Date.now() / 60000);
+  const minutes = Array.from({ length: 60 }, (_, index) => currentMinute - 1 - index);
+  const [completed, failed] = await Promise.all(['completed', 'failed'].map((state) => queue.client
+    .mget(minutes.map((minute) => throughputKey(name, state, minute)))
+    .then((values) => values.map((value) => Number(value) || 0))));
+
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const during = (length) => ({
+    completed: sum(completed.slice(0, length)),
+    failed: sum(failed.slice(0, length)),
+  });
+
+  return {
+    name,
+    counts,
+    depth: (counts.waiting || 0) + (counts.delayed || 0),
+    throughput: {
+      lastMinute: during(1),
+      lastHour: during(60),
+    },
+  };
+};
@@ -0,0 +1,142 @@
+import DBClient from './db';
+
+/**
+ * Reads a quota from an environment variable: a positive integer, or null (no limit) if the
+ * variable is missing, empty or 0.
+ * @param {String} name - Name of the environment variable.
+ * @returns {Number | null}
+ */
+const envQuota = (name) => Number(process.env[name]) || null;
+
+/**
+ * The quotas of a user:
+ * - bytes: total size of the contents of the user (QUOTA_BYTES, default: no limit)
+ * - files: number of files and images of the user (QUOTA_FILES, default: no limit)
+ * - The user document can override them with quota: { bytes, files } (set by an admin),
+ * null meaning the default
+ * @param {Object} user - User document.
+ * @returns {Object} { bytes, files }, null for no limit.
+ */
+export const userQuota = (user) => {
+  const quota = user.quota || {};
+  return {
+    bytes: quota.bytes !== undefined && quota.bytes !== null ? quota.bytes : envQuota('QUOTA_BYTES'),
+    files: quota.files !== undefined && quota.files !== null ? quota.files : envQuota('QUOTA_FILES'),
+  };
+};
+
+/**
+ * Computes the usage of the files owned by users, by user and by type - the files in the
+ * trash are counted until they are deleted forever, and the previous versions of the files
+ * are counted with the type version.
+ * @param {Object} match - (optional) Filter on the files (like { userId }).
+ * @returns {Promise<Array<Object>>} List of { userId, type, count, bytes }.
+ */
+const usageByUserAndType = async (match = {}) => {
+  const aggregate = (collection, type) => DBClient.db
+    .collection(collection)
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { userId: '$userId', type },
+          count: { $sum: 1 },
+          bytes: { $sum: '$size' },
+        },
+      },
+    ])
+    .toArray();
+  const groups = [].concat(
+    await aggregate('files', '$type'),
+    await aggregate('versions', 'version'),
+  );
+  return groups.map((group) => ({
+    userId: group._id.userId,
+    type: group._id.type,
+    count: group.count,
+    bytes: group.bytes || 0,
+  }));
+};
+
+/**
+ * Sums usage groups:
+ * - bytes: total size of the contents
+ * - files: number of files and images (the folders and the versions are not counted)
+ * - types: { type, count, bytes } for each type present
+ * @param {Array<Object>} groups - Groups from usageByUserAndType.
+ * @returns {Object}
+ */
+const sumUsage = (groups) => {
+  const types = {};
+  groups.forEach((group) => {
+    if (!types[group.type]) types[group.type] = { type: group.type, count: 0, bytes: 0 };
+    types[group.type].count += group.count;
+    types[group.type].bytes += group.bytes;
+  });
+  return {
+    bytes: groups.reduce((total, group) => total + group.bytes, 0),
+    files: groups
+      .filter((group) => !['folder', 'version'].includes(group.type))
+      .reduce((total, group) => total + group.count, 0),
+    types: Object.values(types),
+  };
+};
+
+/**
+ * Computes the usage of a user (see sumUsage).
+ * @param {ObjectId} userId - ID of the user.
+ * @returns {Promise<Object>}
+ */
+export const userUsage = async (userId) => sumUsage(await usageByUserAndType({ userId }));
+
+/**
+ * Computes the usage of all the users (see sumUsage), and for each user.
+ * @returns {Promise<Object>} The global usage with users: list of { userId, bytes, files,
+ * types }, sorted by bytes.
+ */
+export const globalUsage = async () => {
+  const groups = await usageByUserAndType();
+  const userIds = groups
+    .map((group) => group.userId.toString())
+    .filter((userId, index, list) => list.indexOf(userId) === index);
+
+  return {
+    ...sumUsage(groups),
+    users: userIds
+      .map((userId) => ({
+        userId,
+        ...sumUsage(groups.filter((group) => group.userId.toString() === userId)),
+      }))
+      .sort((a, b) => b.bytes - a.bytes),
+  };
+};
+
+/**
+ * Checks that new contents fit in the quotas of a user:
+ * - If the total size would go over the quota bytes, returns Storage quota exceeded
+ * - If the number of files would go over the quota files, returns File quota exceeded
+ * @param {Object} user - User document.
+ * @param {Number} bytes - Size of the new contents in bytes.
+ * @param {Number} files - Number of new files (default: 1).
+ * @returns {Promise<String | null>} The error message, or null if it fits.
+ */
+export const checkQuota = async (user, bytes, files = 1) => {
+  const quota = userQuota(user);
+  if (quota.bytes === null && quota.files === null) return null;
+
+  const usage = await userUsage(user._id);
+  if (quota.bytes !== null && usage.bytes + bytes > quota.bytes) return 'Storage quota exceeded';
+  if (quota.files !== null && usage.files + files > quota.files) return 'File quota exceeded';
+  return null;
+};
+
+/**
+ * The number of bytes a user can still store, or null if there is no limit.
+ * @param {Object} user - User document.
+ * @returns {Promise<Number | null>}
+ */
+export const remainingBytes = async (user) => {
+  const quota = userQuota(user);
+  if (quota.bytes === null) return null;
+  return Math.max(quota.bytes - (await userUsage(user._id)).bytes, 0);
+};
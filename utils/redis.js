@@ -56,6 +56,21 @@ class RedisClient {
       .bind(this.client)(key, duration, value);
   }
 
+  /**
+   * An asynchronous function setnx that takes a string key, a value and a
+   * duration in second as arguments to store it in Redis only if the key
+   * doesn't exist yet (with an expiration set by the duration argument).
+   * @param {String} key - Item key to store.
+   * @param {String | Number | Boolean} value - Item value to store.
+   * @param {Number} duration - Expiration time in seconds.
+   * @returns {Promise<boolean>} true if stored, false if the key already exists.
+   */
+  async setnx(key, value, duration) {
+    const reply = await promisify(this.client.SET)
+      .bind(this.client)(key, value, 'EX', duration, 'NX');
+    return reply === 'OK';
+  }
+
   /**
    * An asynchronous function del that takes a string key as argument and
    * remove the value in Redis for this key.
@@ -65,6 +80,71 @@ class RedisClient {
   async del(key) {
     await promisify(this.client.DEL).bind(this.client)(key);
   }
+
+  /**
+   * An asynchronous function expire that takes a string key and a duration in
+   * second as arguments to reset the expiration of this key.
+   * @param {String} key - Item key to update.
+   * @param {Number} duration - Expiration time in seconds.
+   * @returns {Promise<void>}
+   */
+  async expire(key, duration) {
+    await promisify(this.client.EXPIRE).bind(this.client)(key, duration);
+  }
+
+  /**
+   * An asynchronous function hset that takes a string key, a field and a value
+   * as arguments to store the value in the Redis hash of this key.
+   * @param {String} key - Hash key.
+   * @param {String} field - Field of the hash to store.
+   * @param {String | Number} value - Value to store.
+   * @returns {Promise<void>}
+   */
+  async hset(key, field, value) {
+    await promisify(this.client.HSET).bind(this.client)(key, field, value);
+  }
+
+  /**
+   * An asynchronous function hgetall that takes a string key as argument and
+   * returns all the fields and values of the Redis hash stored for this key.
+   * @param {String} key - Hash key.
+   * @returns {Promise<Object | null>}
+   */
+  async hgetall(key) {
+    return promisify(this.client.HGETALL).bind(this.client)(key);
+  }
+
+  /**
+   * An asynchronous function sadd that takes a string key and a member as
+   * arguments to add the member to the Redis set of this key.
+   * @param {String} key - Set key.
+   * @param {String} member - Member to add.
+   * @returns {Promise<void>}
+   */
+  async sadd(key, member) {
+    await promisify(this.client.SADD).bind(this.client)(key, member);
+  }
+
+  /**
+   * An asynchronous function srem that takes a string key and a member as
+   * arguments to remove the member from the Redis set of this key.
+   * @param {String} key - Set key.
+   * @param {String} member - Member to remove.
+   * @returns {Promise<void>}
+   */
+  async srem(key, member) {
+    await promisify(this.client.SREM).bind(this.client)(key, member);
+  }
+
+  /**
+   * An asynchronous function smembers that takes a string key as argument and
+   * returns all the members of the Redis set stored for this key.
+   * @param {String} key - Set key.
+   * @returns {Promise<Array<String>>}
+   */
+  async smembers(key) {
+    return promisify(this.client.SMEMBERS).bind(this.client)(key);
+  }
 }
 
 export const redisClient = new RedisClient();
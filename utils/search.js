@@ -0,0 +1,194 @@
+import DBClient from './db';
+import { HttpError } from './errors';
+
+const { ObjectId } = require('mongodb');
+
+/**
+ * The fields GET /files can be sorted by.
+ */
+export const sortFields = ['name', 'type', 'size', 'mimeType', 'createdAt', 'updatedAt'];
+
+/**
+ * The page size of GET /files: 20 by default, 100 at most.
+ */
+export const defaultLimit = 20;
+export const maxLimit = 100;
+
+/**
+ * Escapes the special characters of a string to search it in a regular expression.
+ * @param {String} text - Text to search.
+ * @returns {String}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parses a query parameter as a date.
+ * @param {String} value - Value of the query parameter.
+ * @param {String} name - Name of the query parameter, for the error.
+ * @returns {Date}
+ */
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new HttpError(400, `Invalid ${name}`);
+  return date;
+};
+
+/**
+ * Parses a query parameter as a non-negative integer.
+ * @param {String} value - Value of the query parameter.
+ * @param {String} name - Name of the query parameter, for the error.
+ * @returns {Number}
+ */
+const parseInteger = (value, name) => {
+  const number = Number(value);
+  if (!/^\d+$/.test(String(value)) || !Number.isSafeInteger(number)) throw new HttpError(400, `Invalid ${name}`);
+  return number;
+};
+
+/**
+ * Builds the MongoDB filter of the search query parameters of GET /files:
+ * - name: the name contains this text (case-insensitive)
+ * - content: the text extracted from the document by the worker contains this text
+ * (case-insensitive) - the texts are searched in the collection texts (see storeText), then
+ * the files are matched by their content
+ * - type: one type or a comma-separated list (folder, file, image)
+ * - isPublic: true or false
+ * - mimeType: a MIME type (image/png), or a family of MIME types (image/*)
+ * - minSize, maxSize: size range in bytes, included (the folders don't have a size)
+ * - createdAfter, createdBefore, updatedAfter, updatedBefore: date ranges, included
+ * - If a value is not valid, fails with an error Invalid <parameter> with a status code 400
+ * @param {Object} query - Query parameters of the request.
+ * @returns {Promise<Object>} The conditions to add to the filter of the files.
+ */
+export const searchFilter = async (query) => {
+  const filter = {};
+
+  if (query.name) filter.name = { $regex: escapeRegExp(String(query.name)), $options: 'i' };
+  if (query.content) {
+    const texts = await DBClient.db
+      .collection('texts')
+      .find({ text: { $regex: escapeRegExp(String(query.content)), $options: 'i' } })
+      .project({ localPath: 1 })
+      .toArray();
+    filter.$or = [
+      { hash: { $in: texts.map((text) => text._id) } },
+      { localPath: { $in: texts.filter((text) => text.localPath).map((text) => text.localPath) } },
+    ];
+  }
+
+  if (query.type) {
+    const types = String(query.type).split(',');
+    if (types.some((type) => !['folder', 'file', 'image'].includes(type))) throw new HttpError(400, 'Invalid type');
+    filter.type = { $in: types };
+  }
+
+  if (query.isPublic !== undefined) {
+    if (!['true', 'false'].includes(query.isPublic)) throw new HttpError(400, 'Invalid isPublic');
+    filter.isPublic = query.isPublic === 'true';
+  }
+
+  if (query.mimeType) {
+    const mimeType = String(query.mimeType);
+    filter.mimeType = /^[\w.+-]+\/\*$/.test(mimeType)
+      ? { $regex: `^${escapeRegExp(mimeType.slice(0, -1))}` }
+      : mimeType;
+  }
+
+  const size = {};
+  if (query.minSize !== undefined) size.$gte = parseInteger(query.minSize, 'minSize');
+  if (query.maxSize !== undefined) size.$lte = parseInteger(query.maxSize, 'maxSize');
+  if (Object.keys(size).length) filter.size = size;
+
+  [['createdAt', 'created'], ['updatedAt', 'updated']].forEach(([field, prefix]) => {
+    const range = {};
+    if (query[`${prefix}After`]) range.$gte = parseDate(query[`${prefix}After`], `${prefix}After`);
+    if (query[`${prefix}Before`]) range.$lte = parseDate(query[`${prefix}Before`], `${prefix}Before`);
+    if (Object.keys(range).length) filter[field] = range;
+  });
+
+  return filter;
+};
+
+/**
+ * Parses the sort query parameter of GET /files: one of sortFields, prefixed by - for the
+ * descending order (default: the order of creation) - otherwise, fails with an error
+ * Invalid sort with a status code 400.
+ * @param {String} sort - Value of the query parameter.
+ * @returns {Object} { field, direction } with direction 1 or -1.
+ */
+export const parseSort = (sort) => {
+  if (!sort) return { field: '_id', direction: 1 };
+
+  const direction = String(sort).startsWith('-') ? -1 : 1;
+  const field = String(sort).replace(/^[-+]/, '');
+  if (!sortFields.includes(field)) throw new HttpError(400, 'Invalid sort');
+  return { field, direction };
+};
+
+/**
+ * Parses the limit query parameter of GET /files (the page size): between 1 and maxLimit
+ * - otherwise, fails with an error Invalid limit with a status code 400.
+ * @param {String} limit - Value of the query parameter.
+ * @returns {Number}
+ */
+export const parseLimit = (limit) => {
+  if (limit === undefined) return defaultLimit;
+  const number = parseInteger(limit, 'limit');
+  if (number < 1 || number > maxLimit) throw new HttpError(400, 'Invalid limit');
+  return number;
+};
+
+/**
+ * Encodes the position after a file document in the sort order, as an opaque cursor (URL-safe
+ * Base64 of JSON).
+ * @param {Object} fileDocument - Last file document of a page.
+ * @param {Object} sort - { field, direction } from parseSort.
+ * @returns {String}
+ */
+export const encodeCursor = (fileDocument, { field }) => {
+  const value = field === '_id' ? null : fileDocument[field];
+  const position = {
+    id: fileDocument._id.toString(),
+    value: value === undefined ? null : value,
+    date: value instanceof Date,
+  };
+  return Buffer.from(JSON.stringify(position))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+/**
+ * Builds the MongoDB filter of the files after a cursor in the sort order: the ties are
+ * broken by the ID, and the files without a value (like the size of the folders) come first
+ * in ascending order and last in descending order.
+ * - If the cursor is not valid, fails with an error Invalid cursor with a status code 400
+ * @param {String} cursor - Cursor from encodeCursor.
+ * @param {Object} sort - { field, direction } from parseSort.
+ * @returns {Object}
+ */
+export const cursorFilter = (cursor, { field, direction }) => {
+  let position;
+  try {
+    const base64 = String(cursor).replace(/-/g, '+').replace(/_/g, '/');
+    position = JSON.parse(Buffer.from(base64, 'base64').toString());
+  } catch (error) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+  if (!position || !ObjectId.isValid(position.id)) throw new HttpError(400, 'Invalid cursor');
+
+  const after = direction === 1 ? '$gt' : '$lt';
+  const id = { [after]: ObjectId(position.id) };
+  if (field === '_id') return { _id: id };
+
+  const value = position.date ? new Date(position.value) : position.value;
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: id }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: id };
+  }
+  const conditions = [{ [field]: { [after]: value } }, { [field]: value, _id: id }];
+  if (direction === -1) conditions.push({ [field]: null });
+  return { $or: conditions };
+};
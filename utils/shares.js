@@ -0,0 +1,70 @@
+import DBClient from './db';
+import { checkParent, findAncestors } from './files';
+import { keyAllows } from './apiKeys';
+
+const { ObjectId } = require('mongodb');
+
+/**
+ * The share roles, from the lowest to the highest access:
+ * - viewer: can list, show and download
+ * - editor: can also upload in a folder, rename, move and delete
+ * - owner: can also publish and share (never granted, only for the owners)
+ */
+export const roles = ['viewer', 'editor', 'owner'];
+
+/**
+ * Checks if an access is at least a given role.
+ * @param {String | null} access - Access of a user on a file (see fileAccess).
+ * @param {String} role - Minimal role.
+ * @returns {boolean}
+ */
+export const hasRole = (access, role) => roles.indexOf(access) >= roles.indexOf(role);
+
+/**
+ * Retrieves the access of a user on a file:
+ * - owner if the user owns the file (the owner of a folder doesn't own the files added in it by
+ * the editors)
+ * - Otherwise, the highest role granted to the user on the file or one of its ancestor
+ * folders (the grants are inherited down the parentId tree), and editor for the owner of the
+ * folder at the root of the tree - owning a folder deeper in the tree grants nothing
+ * - null if the user has no access, or uses an API key restricted to a folder which doesn't
+ * contain the file
+ * @param {Object | null} user - User document.
+ * @param {Object} fileDocument - File document from DB.
+ * @returns {Promise<String | null>}
+ */
+export const fileAccess = async (user, fileDocument) => {
+  if (!user || !await keyAllows(user, fileDocument)) return null;
+  if (fileDocument.userId.toString() === user._id.toString()) return 'owner';
+
+  const files = (await findAncestors(fileDocument)).concat([fileDocument]);
+  const rootOwned = files[0].userId.toString() === user._id.toString();
+
+  const shares = await DBClient.db
+    .collection('shares')
+    .find({ userId: user._id, fileId: { $in: files.map((file) => file._id) } })
+    .toArray();
+  return shares.reduce((access, share) => (
+    roles.indexOf(share.role) > roles.indexOf(access) ? share.role : access
+  ), rootOwned ? 'editor' : null);
+};
+
+/**
+ * Checks the parentId of a file created or moved by a user: like checkParent, and if the
+ * user can't edit the parent folder (or the root with an API key restricted to a folder),
+ * returns Parent not found.
+ * @param {String | Number} parentId - ID of the parent.
+ * @param {Object} user - User document.
+ * @returns {Promise<String | null>} The error message, or null if the parent is valid.
+ */
+export const checkParentAccess = async (parentId, user) => {
+  const parentError = await checkParent(parentId);
+  if (parentError) return parentError;
+  if (parentId === 0) return user.apiKey && user.apiKey.folderId ? 'Parent not found' : null;
+
+  const parentFile = await DBClient.db
+    .collection('files')
+    .findOne({ _id: ObjectId(parentId) });
+  if (!hasRole(await fileAccess(user, parentFile), 'editor')) return 'Parent not found';
+  return null;
+};
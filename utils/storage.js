@@ -0,0 +1,169 @@
+const fs = require('fs');
+const { PassThrough } = require('stream');
+const Minio = require('minio');
+
+/**
+ * The storing folder of the files:
+ * - from the environment variable FOLDER_PATH
+ * - default: /tmp/files_manager
+ * It is also where the uploads are written before being stored by the driver.
+ * @returns {String}
+ */
+export const storingFolder = () => process.env.FOLDER_PATH || '/tmp/files_manager';
+
+/**
+ * The storage driver storing the contents on the local disk, in the storing folder.
+ * Every driver provides the same operations on a content identified by a key:
+ * - put(key, buffer) and putFile(key, path) to store it (putFile moves a local file)
+ * - get(key) to read it in memory
+ * - stream(key, range) to read it (or a { start, end } part of it) as a stream
+ * - stat(key) to get its { size, mtime }, or null if it doesn't exist
+ * - exists(key) and delete(key)
+ * Only the drivers keeping the contents on the local disk provide localPath(key), to get
+ * the absolute path of a content.
+ */
+class LocalStorage {
+  constructor() {
+    this.folder = storingFolder;
+  }
+
+  localPath(key) {
+    return `${this.folder()}/${key}`;
+  }
+
+  async put(key, buffer) {
+    await fs.promises.mkdir(this.folder(), { recursive: true });
+    await fs.promises.writeFile(this.localPath(key), buffer);
+  }
+
+  async putFile(key, path) {
+    await fs.promises.mkdir(this.folder(), { recursive: true });
+    await fs.promises.rename(path, this.localPath(key));
+  }
+
+  async get(key) {
+    return fs.promises.readFile(this.localPath(key));
+  }
+
+  stream(key, range) {
+    return fs.createReadStream(this.localPath(key), range);
+  }
+
+  async stat(key) {
+    try {
+      const { size, mtime } = await fs.promises.stat(this.localPath(key));
+      return { size, mtime };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  async delete(key) {
+    await fs.promises.unlink(this.localPath(key)).catch(() => {});
+  }
+}
+
+/**
+ * The storage driver storing the contents as objects of a bucket on an S3-compatible
+ * server (AWS S3, MinIO...), with the same operations as LocalStorage except localPath:
+ * - endpoint: from the environment variable S3_ENDPOINT (host name)
+ * - port: from the environment variable S3_PORT (default: 443 with SSL, 80 otherwise)
+ * - SSL: from the environment variable S3_USE_SSL (default: true)
+ * - credentials: from the environment variables S3_ACCESS_KEY and S3_SECRET_KEY
+ * - region: from the environment variable S3_REGION (default: us-east-1)
+ * - bucket: from the environment variable S3_BUCKET (default: files-manager), created
+ * if missing
+ */
+export class S3Storage {
+  constructor() {
+    this.bucket = process.env.S3_BUCKET || 'files-manager';
+    this.region = process.env.S3_REGION || 'us-east-1';
+    this.client = new Minio.Client({
+      endPoint: process.env.S3_ENDPOINT || 'localhost',
+      port: process.env.S3_PORT ? Number(process.env.S3_PORT) : undefined,
+      useSSL: process.env.S3_USE_SSL !== 'false',
+      accessKey: process.env.S3_ACCESS_KEY || '',
+      secretKey: process.env.S3_SECRET_KEY || '',
+      region: this.region,
+    });
+    this.bucketReady = null;
+  }
+
+  async ensureBucket() {
+    if (!this.bucketReady) {
+      this.bucketReady = this.client.bucketExists(this.bucket)
+        .then((exists) => (exists ? null : this.client.makeBucket(this.bucket, this.region)))
+        .catch((error) => {
+          this.bucketReady = null;
+          throw error;
+        });
+    }
+    return this.bucketReady;
+  }
+
+  async put(key, buffer) {
+    await this.ensureBucket();
+    await this.client.putObject(this.bucket, key, buffer, buffer.length);
+  }
+
+  async putFile(key, path) {
+    await this.ensureBucket();
+    const { size } = await fs.promises.stat(path);
+    await this.client.putObject(this.bucket, key, fs.createReadStream(path), size);
+    await fs.promises.unlink(path);
+  }
+
+  async get(key) {
+    const stream = await this.client.getObject(this.bucket, key);
+    const chunks = [];
+    return new Promise((resolve, reject) => {
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('error', reject);
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+  }
+
+  stream(key, range) {
+    const output = new PassThrough();
+    const request = range
+      ? this.client.getPartialObject(this.bucket, key, range.start, range.end - range.start + 1)
+      : this.client.getObject(this.bucket, key);
+    request
+      .then((stream) => {
+        stream.on('error', (error) => output.destroy(error));
+        stream.pipe(output);
+      })
+      .catch((error) => output.destroy(error));
+    return output;
+  }
+
+  async stat(key) {
+    try {
+      const { size, lastModified } = await this.client.statObject(this.bucket, key);
+      return { size, mtime: lastModified };
+    } catch (error) {
+      if (['NotFound', 'NoSuchKey'].includes(error.code)) return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  async delete(key) {
+    await this.client.removeObject(this.bucket, key);
+  }
+}
+
+/**
+ * The storage driver used, selected by the environment variable STORAGE_DRIVER:
+ * - local (default): LocalStorage
+ * - s3: S3Storage
+ */
+const storage = process.env.STORAGE_DRIVER === 's3' ? new S3Storage() : new LocalStorage();
+export default storage;
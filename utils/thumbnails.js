@@ -0,0 +1,146 @@
+const sharp = require('sharp');
+
+/**
+ * The fit modes of the thumbnails with a width and a height (see the option fit of sharp):
+ * cover crops the image to fill the box, contain adds borders, fill stretches the image,
+ * inside and outside keep the whole image smaller or larger than the box.
+ */
+export const fitModes = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+/**
+ * The output formats of the thumbnails: original keeps the format of the image (PNG for
+ * the formats sharp can't write, like SVG).
+ */
+export const thumbnailFormats = ['original', 'jpeg', 'webp', 'png'];
+
+/**
+ * The MIME types of the images the worker generates thumbnails for.
+ */
+const imageTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/tiff', 'image/avif', 'image/heic', 'image/heif', 'image/svg+xml'];
+
+/**
+ * The MIME types of the formats written by sharp.
+ */
+export const outputTypes = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  tiff: 'image/tiff',
+  avif: 'image/avif',
+  heif: 'image/heif',
+};
+
+/**
+ * The sizes of the thumbnails generated by the worker for each image:
+ * - from the environment variable THUMBNAIL_SIZES, a comma-separated list of <width> (the
+ * height follows the ratio of the image) or <width>x<height>, optionally followed by :<fit>
+ * to override THUMBNAIL_FIT for this size (like 500,250,100x100:cover)
+ * - default: 500,250,100
+ * - The name of a size (500, 100x100) is the suffix of the storage key of the thumbnail, and
+ * the value of the query parameter size of GET /files/:id/data
+ * @returns {Array<Object>} List of { name, width, height, fit }, height null for a width only.
+ */
+export const thumbnailSizes = () => {
+  const fit = fitModes.includes(process.env.THUMBNAIL_FIT) ? process.env.THUMBNAIL_FIT : 'cover';
+  return (process.env.THUMBNAIL_SIZES || '500,250,100')
+    .split(',')
+    .map((item) => /^\s*(\d+)(?:x(\d+))?(?::(\w+))?\s*$/.exec(item))
+    .filter((match) => match && Number(match[1]) > 0 && (!match[3] || fitModes.includes(match[3])))
+    .map(([, width, height, sizeFit]) => ({
+      name: height ? `${Number(width)}x${Number(height)}` : `${Number(width)}`,
+      width: Number(width),
+      height: height ? Number(height) : null,
+      fit: sizeFit || fit,
+    }))
+    .filter((size, index, list) => list.findIndex((item) => item.name === size.name) === index);
+};
+
+/**
+ * The options of the output of the thumbnails:
+ * - format: THUMBNAIL_FORMAT, one of thumbnailFormats (default: original)
+ * - quality: THUMBNAIL_QUALITY, from 1 to 100 for JPEG and WebP (default: 80)
+ * @returns {Object} { format, quality }
+ */
+export const thumbnailOutput = () => {
+  const quality = Number(process.env.THUMBNAIL_QUALITY);
+  return {
+    format: thumbnailFormats.includes(process.env.THUMBNAIL_FORMAT) ? process.env.THUMBNAIL_FORMAT : 'original',
+    quality: Number.isInteger(quality) && quality >= 1 && quality <= 100 ? quality : 80,
+  };
+};
+
+/**
+ * The options of the jobs of the queue fileQueue: THUMBNAIL_ATTEMPTS attempts (default: 3),
+ * retried with an exponential backoff starting at THUMBNAIL_BACKOFF milliseconds (default:
+ * 5000).
+ * @returns {Object}
+ */
+export const thumbnailJobOptions = () => ({
+  attempts: Number(process.env.THUMBNAIL_ATTEMPTS) || 3,
+  backoff: { type: 'exponential', delay: Number(process.env.THUMBNAIL_BACKOFF) || 5000 },
+});
+
+/**
+ * Checks if the worker generates thumbnails for a file document: an image in one of the
+ * formats read by sharp (for a file uploaded before the detection of the MIME type, any
+ * file of type image).
+ * @param {Object} fileDocument - File document from DB.
+ * @returns {boolean}
+ */
+export const hasThumbnails = (fileDocument) => {
+  if (['folder'].includes(fileDocument.type)) return false;
+  if (!fileDocument.mimeType) return fileDocument.type === 'image';
+  return imageTypes.includes(fileDocument.mimeType);
+};
+
+/**
+ * Generates a thumbnail of an image with sharp:
+ * - The orientation of the EXIF metadata is applied to the pixels, then all the metadata
+ * (EXIF, GPS, ICC...) are stripped
+ * - The image is resized to the width (and the height with the fit mode) of the size, never
+ * enlarged
+ * - The thumbnail is written in the format of thumbnailOutput, or of output
+ * @param {Buffer} image - Content of the image.
+ * @param {Object} size - Size from thumbnailSizes: { width, height, fit }, width or height
+ * null to follow the ratio of the image.
+ * @param {Object} output - (optional) { format, quality }, default: thumbnailOutput().
+ * @returns {Promise<Object>} { buffer, mimeType }
+ */
+export const renderThumbnail = async (image, size, output = thumbnailOutput()) => {
+  const { format, quality } = output;
+  let pipeline = sharp(image)
+    .rotate()
+    .resize(size.width, size.height, { fit: size.fit, withoutEnlargement: true });
+
+  if (format === 'jpeg') pipeline = pipeline.jpeg({ quality, mozjpeg: true });
+  else if (format === 'webp') pipeline = pipeline.webp({ quality });
+  else if (format === 'png') pipeline = pipeline.png();
+  else {
+    const { format: input } = await sharp(image).metadata();
+    if (!outputTypes[input] || input === 'heif') pipeline = pipeline.png();
+  }
+
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+  return { buffer: data, mimeType: outputTypes[info.format] || 'application/octet-stream' };
+};
+
+/**
+ * The processing status of the thumbnails of a file document, recorded on it as thumbnails:
+ * for each size of thumbnailSizes, { status, mimeType, error } with status pending (queued
+ * or retried), ready or failed (after the last attempt) - the thumbnails already ready for
+ * the content are kept.
+ * @param {Object} fileDocument - File document (or version document with type).
+ * @returns {Object | null} The status, or null if the file doesn't have thumbnails.
+ */
+export const thumbnailStatus = (fileDocument) => {
+  if (!hasThumbnails(fileDocument)) return null;
+  const current = fileDocument.thumbnails || {};
+  const status = {};
+  thumbnailSizes().forEach(({ name }) => {
+    status[name] = current[name] && current[name].status === 'ready'
+      ? current[name]
+      : { status: 'pending' };
+  });
+  return status;
+};
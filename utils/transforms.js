@@ -0,0 +1,248 @@
+import storage, { storingFolder } from './storage';
+import { HttpError } from './errors';
+import {
+  fitModes, thumbnailSizes, renderThumbnail, outputTypes,
+} from './thumbnails';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The output formats of the transforms.
+ */
+export const transformFormats = ['jpeg', 'webp', 'png'];
+
+/**
+ * The folder of the cache of the transformed images:
+ * - from the environment variable TRANSFORM_CACHE_PATH
+ * - default: the folder transforms of the storing folder
+ * @returns {String}
+ */
+export const transformCacheFolder = () => process.env.TRANSFORM_CACHE_PATH || path.join(storingFolder(), 'transforms');
+
+/**
+ * The maximum size of the cache of the transformed images in bytes:
+ * - from the environment variable TRANSFORM_CACHE_SIZE
+ * - default: 256 MiB
+ * @returns {Number}
+ */
+export const transformCacheSize = () => Number(process.env.TRANSFORM_CACHE_SIZE)
+  || 256 * 1024 * 1024;
+
+/**
+ * The maximum width and height of a transform:
+ * - from the environment variable TRANSFORM_MAX_DIMENSION
+ * - default: 4096 pixels
+ * @returns {Number}
+ */
+export const maxDimension = () => Number(process.env.TRANSFORM_MAX_DIMENSION) || 4096;
+
+/**
+ * The maximum number of transforms generated at the same time (each one reads the whole
+ * content in memory):
+ * - from the environment variable TRANSFORM_CONCURRENCY
+ * - default: 2
+ * @returns {Number}
+ */
+export const transformConcurrency = () => Number(process.env.TRANSFORM_CONCURRENCY) || 2;
+
+/**
+ * Parses a query parameter as an integer between 1 and a maximum - otherwise, fails with an
+ * error Invalid <parameter> with a status code 400.
+ * @param {String} value - Value of the query parameter.
+ * @param {String} name - Name of the query parameter, for the error.
+ * @param {Number} max - Maximum value.
+ * @returns {Number}
+ */
+const parseBounded = (value, name, max) => {
+  const number = Number(value);
+  if (!/^\d+$/.test(String(value)) || number < 1 || number > max) throw new HttpError(400, `Invalid ${name}`);
+  return number;
+};
+
+/**
+ * Parses the transform query parameters of GET /files/:id/data:
+ * - width, height: the box of the image in pixels, from 1 to TRANSFORM_MAX_DIMENSION (an
+ * image is never enlarged)
+ * - fit: one of fitModes (default: cover), used when both width and height are set
+ * - format: jpeg, webp or png (default: the format of the image, or PNG if it can't be
+ * written)
+ * - quality: from 1 to 100 for JPEG and WebP (default: 80)
+ * - size: a width which is not one of THUMBNAIL_SIZES (these ones are the precomputed
+ * thumbnails)
+ * - If a value is not valid, fails with an error Invalid <parameter> with a status code 400
+ * @param {Object} query - Query parameters of the request.
+ * @returns {Object | null} The transform { width, height, fit, format, quality }, or null if
+ * the request has no transform parameter.
+ */
+export const parseTransform = (query) => {
+  const precomputed = thumbnailSizes().some(({ name }) => name === String(query.size));
+  const sizeWidth = query.size && !precomputed && /^\d+$/.test(String(query.size));
+  if (!sizeWidth && ['width', 'height', 'fit', 'format', 'quality'].every((name) => query[name] === undefined)) {
+    return null;
+  }
+
+  const transform = {
+    width: null,
+    height: null,
+    fit: 'cover',
+    format: 'original',
+    quality: 80,
+  };
+  if (sizeWidth) transform.width = parseBounded(query.size, 'size', maxDimension());
+  if (query.width !== undefined) transform.width = parseBounded(query.width, 'width', maxDimension());
+  if (query.height !== undefined) transform.height = parseBounded(query.height, 'height', maxDimension());
+  if (query.fit !== undefined) {
+    if (!fitModes.includes(query.fit)) throw new HttpError(400, 'Invalid fit');
+    transform.fit = query.fit;
+  }
+  if (query.format !== undefined) {
+    if (!transformFormats.includes(query.format)) throw new HttpError(400, 'Invalid format');
+    transform.format = query.format;
+  }
+  if (query.quality !== undefined) transform.quality = parseBounded(query.quality, 'quality', 100);
+  return transform;
+};
+
+/**
+ * The transforms being generated, by cache filename: concurrent requests for the same
+ * transform wait for the same generation.
+ */
+const generating = new Map();
+
+/**
+ * The number of transforms being rendered, and the renders waiting for one of them to end.
+ */
+let rendering = 0;
+const waitingRenders = [];
+
+/**
+ * Waits until a transform can be rendered within transformConcurrency.
+ * @returns {Promise<void>}
+ */
+const acquireRender = () => {
+  if (rendering < transformConcurrency()) {
+    rendering += 1;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => waitingRenders.push(resolve));
+};
+
+/**
+ * Ends a render: its place is given to the next render waiting.
+ */
+const releaseRender = () => {
+  const next = waitingRenders.shift();
+  if (next) next();
+  else rendering -= 1;
+};
+
+/**
+ * Removes the least recently used transformed images until the cache fits in
+ * transformCacheSize - except the image just generated, even bigger than the cache.
+ * @param {String} keep - Cache filename of the image just generated.
+ * @returns {Promise<void>}
+ */
+const evictTransforms = async (keep) => {
+  const folder = transformCacheFolder();
+  const names = await fs.promises.readdir(folder).catch(() => []);
+  const entries = (await Promise.all(names.map((name) => fs.promises
+    .stat(path.join(folder, name))
+    .then((stats) => ({ name, size: stats.size, time: stats.mtimeMs }))
+    .catch(() => null))))
+    .filter((entry) => entry)
+    .sort((a, b) => a.time - b.time);
+
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+  const evicted = [];
+  entries.forEach((entry) => {
+    if (total <= transformCacheSize() || entry.name === keep) return;
+    total -= entry.size;
+    evicted.push(entry);
+  });
+  await Promise.all(evicted.map((entry) => fs.promises
+    .unlink(path.join(folder, entry.name))
+    .catch(() => {})));
+};
+
+/**
+ * Retrieves a transformed image of a content from the cache, or generates it:
+ * - The image is generated like the thumbnails (orientation applied, metadata stripped) at
+ * the first request - at most TRANSFORM_CONCURRENCY at the same time, the others wait - then
+ * written in the cache folder, named by the storage key of the content, a hash of the
+ * transform and the extension of its format (see outputTypes) for its MIME type
+ * - A cached image is touched at every request, and the least recently used ones are removed
+ * when the cache is bigger than TRANSFORM_CACHE_SIZE
+ * - If the content is not present in the storage, fails with an error Not found with a status
+ * code 404
+ * - If the content can't be read as an image, fails with an error Invalid image with a status
+ * code 400
+ * @param {String} key - Storage key of the content.
+ * @param {Object} transform - Transform from parseTransform.
+ * @returns {Promise<Object>} { path, mimeType } of the cached image.
+ */
+export const transformedImage = async (key, transform) => {
+  const {
+    width, height, fit, format, quality,
+  } = transform;
+  const digest = crypto
+    .createHash('sha1')
+    .update(JSON.stringify([width, height, fit, format, quality]))
+    .digest('hex');
+  const name = `${key}_${digest}`;
+  const folder = transformCacheFolder();
+  const cachePath = path.join(folder, name);
+
+  const extensions = format === 'original' ? Object.keys(outputTypes) : [format];
+  const cached = (await Promise.all(extensions.map((extension) => fs.promises
+    .stat(`${cachePath}.${extension}`)
+    .then(() => extension)
+    .catch(() => null))))
+    .find((extension) => extension);
+  if (cached) {
+    const now = new Date();
+    await fs.promises.utimes(`${cachePath}.${cached}`, now, now).catch(() => {});
+    return { path: `${cachePath}.${cached}`, mimeType: outputTypes[cached] };
+  }
+
+  if (!generating.has(name)) {
+    generating.set(name, (async () => {
+      await acquireRender();
+      let thumbnail;
+      try {
+        const image = await storage.get(key).catch(() => { throw new HttpError(404, 'Not found'); });
+        const output = { format, quality };
+        const size = {
+          width, height, fit: width && height ? fit : 'inside',
+        };
+        thumbnail = await renderThumbnail(image, size, output)
+          .catch(() => { throw new HttpError(400, 'Invalid image'); });
+      } finally {
+        releaseRender();
+      }
+
+      const extension = Object.keys(outputTypes)
+        .find((type) => outputTypes[type] === thumbnail.mimeType);
+      if (!extension) throw new HttpError(400, 'Invalid image');
+      await fs.promises.mkdir(folder, { recursive: true });
+      await fs.promises.writeFile(`${cachePath}.${extension}`, thumbnail.buffer);
+      await evictTransforms(`${name}.${extension}`);
+      return { path: `${cachePath}.${extension}`, mimeType: thumbnail.mimeType };
+    })().finally(() => generating.delete(name)));
+  }
+  return generating.get(name);
+};
+
+/**
+ * Removes from the cache all the transformed images of a content.
+ * @param {String} key - Storage key of the content.
+ * @returns {Promise<void>}
+ */
+export const removeTransforms = async (key) => {
+  const folder = transformCacheFolder();
+  const names = await fs.promises.readdir(folder).catch(() => []);
+  await Promise.all(names
+    .filter((name) => name.startsWith(`${key}_`))
+    .map((name) => fs.promises.unlink(path.join(folder, name)).catch(() => {})));
+};
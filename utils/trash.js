@@ -0,0 +1,127 @@
+import DBClient from './db';
+import { findDescendants } from './files';
+import { releaseBlob } from './blobs';
+import { deleteVersions } from './versions';
+
+const { ObjectId } = require('mongodb');
+
+/**
+ * Number of days a file stays in the trash before being purged:
+ * - from the environment variable TRASH_RETENTION_DAYS
+ * - default: 30 days
+ * @returns {Number}
+ */
+export const trashRetentionDays = () => Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Moves a file, or a folder and all its descendants, to the trash of its owner:
+ * - trashedAt is set to the current date
+ * - trashedWith is set to the ID of the file trashed, so the whole subtree is restored
+ * together
+ * - The descendants already in the trash keep their own trashedWith
+ * @param {Object} fileDocument - File document to trash.
+ * @returns {Promise<void>}
+ */
+export const trashFile = async (fileDocument) => {
+  const descendants = await findDescendants(fileDocument, { trashedAt: null });
+  const ids = [fileDocument._id].concat(descendants.map((file) => file._id));
+
+  await DBClient.db
+    .collection('files')
+    .updateMany(
+      { _id: { $in: ids } },
+      { $set: { trashedAt: new Date(), trashedWith: fileDocument._id } },
+    );
+};
+
+/**
+ * Restores a file of the trash with the subtree trashed with it:
+ * - If its parent is no longer available, the file is restored at the root
+ * @param {Object} fileDocument - File document trashed (root of the trashed subtree).
+ * @returns {Promise<void>}
+ */
+export const restoreFile = async (fileDocument) => {
+  const files = DBClient.db.collection('files');
+
+  if (fileDocument.parentId !== 0) {
+    const parentFile = await files
+      .findOne({ _id: ObjectId(fileDocument.parentId), trashedAt: null });
+    if (!parentFile) await files.updateOne({ _id: fileDocument._id }, { $set: { parentId: 0 } });
+  }
+
+  await files.updateMany(
+    { trashedWith: fileDocument._id },
+    { $unset: { trashedAt: '', trashedWith: '' } },
+  );
+};
+
+/**
+ * Deletes permanently a file, or a folder and all its descendants: the documents, their
+ * previous versions, their shares and their links are removed from DB and their blobs
+ * released (a blob and its thumbnails are removed from the disk when no other file
+ * references it).
+ * @param {Object} fileDocument - File document to delete.
+ * @returns {Promise<void>}
+ */
+export const deleteForever = async (fileDocument) => {
+  const files = [fileDocument].concat(await findDescendants(fileDocument));
+
+  const ids = files.map((file) => file._id);
+  await Promise.all(files.map(releaseBlob));
+  await deleteVersions(ids);
+  await DBClient.db
+    .collection('files')
+    .deleteMany({ _id: { $in: ids } });
+  await DBClient.db
+    .collection('shares')
+    .deleteMany({ fileId: { $in: ids } });
+  await DBClient.db
+    .collection('links')
+    .deleteMany({ fileId: { $in: ids } });
+};
+
+/**
+ * Deletes permanently all the files of a user, in the trash or not, like deleteForever: the
+ * files added by other users in the folders of the user are deleted with them.
+ * @param {ObjectId} userId - ID of the owner.
+ * @returns {Promise<void>}
+ */
+export const deleteUserFiles = async (userId) => {
+  const files = await DBClient.db
+    .collection('files')
+    .find({ userId })
+    .toArray();
+  const folderIds = files
+    .filter((file) => ['folder'].includes(file.type))
+    .map((file) => file._id.toString());
+
+  const roots = files.filter((file) => !folderIds.includes(file.parentId.toString()));
+  await Promise.all(roots.map(deleteForever));
+};
+
+/**
+ * Retrieves the files moved to the trash (the roots of the trashed subtrees).
+ * @param {Object} query - Filter on the trashed files, like userId or trashedAt.
+ * @returns {Promise<Array<Object>>}
+ */
+export const findTrashed = async (query) => DBClient.db
+  .collection('files')
+  .find({
+    ...query,
+    trashedAt: { $ne: null, ...query.trashedAt },
+    $expr: { $eq: ['$_id', '$trashedWith'] },
+  })
+  .toArray();
+
+/**
+ * Deletes permanently all the files in the trash for more than a number of days.
+ * @param {Number} days - Age of the files to purge.
+ * @returns {Promise<Number>} The number of trashed files purged.
+ */
+export const purgeTrash = async (days) => {
+  const limitDate = new Date(Date.now() - days * 24 * 3600 * 1000);
+  const trashed = await findTrashed({ trashedAt: { $lte: limitDate } });
+
+  await Promise.all(trashed.map(deleteForever));
+  return trashed.length;
+};
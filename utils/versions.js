@@ -0,0 +1,176 @@
+import DBClient from './db';
+import { HttpError } from './errors';
+import { releaseBlob } from './blobs';
+import { queueThumbnails } from './files';
+import { thumbnailStatus } from './thumbnails';
+import { variantStatus } from './processors';
+
+/**
+ * Maximum number of previous versions kept for each file:
+ * - from the environment variable MAX_FILE_VERSIONS
+ * - default: 10
+ * @returns {Number}
+ */
+export const maxVersions = () => {
+  const max = Number(process.env.MAX_FILE_VERSIONS);
+  return Number.isInteger(max) && max >= 0 && process.env.MAX_FILE_VERSIONS !== '' ? max : 10;
+};
+
+/**
+ * The attributes of a file document describing its content (with the status of its
+ * thumbnails and processor outputs - its extracted text is kept under its storage key, see
+ * storeText).
+ */
+const contentFields = ['hash', 'checksum', 'size', 'mimeType', 'localPath', 'thumbnails', 'variants'];
+
+/**
+ * The content attributes of a file or version document.
+ * @param {Object} document - File or version document.
+ * @returns {Object}
+ */
+const contentOf = (document) => {
+  const content = {};
+  contentFields
+    .filter((field) => document[field] !== undefined)
+    .forEach((field) => { content[field] = document[field]; });
+  return content;
+};
+
+/**
+ * The current version of a file document, in the same shape as the documents of the
+ * collection versions: version (1 for a file uploaded before the versions), the content
+ * attributes, uploadedBy and createdAt (the date of the upload of the content).
+ * @param {Object} fileDocument - File document from DB.
+ * @returns {Object}
+ */
+export const currentVersion = (fileDocument) => ({
+  fileId: fileDocument._id,
+  userId: fileDocument.userId,
+  version: fileDocument.version || 1,
+  ...contentOf(fileDocument),
+  uploadedBy: fileDocument.uploadedBy || fileDocument.userId,
+  createdAt: fileDocument.versionCreatedAt || fileDocument.createdAt
+    || fileDocument._id.getTimestamp(),
+});
+
+/**
+ * Retrieves all the versions of a file document, the current one included, from the
+ * newest to the oldest.
+ * @param {Object} fileDocument - File document from DB.
+ * @returns {Promise<Array<Object>>}
+ */
+export const findVersions = async (fileDocument) => {
+  const previous = await DBClient.db
+    .collection('versions')
+    .find({ fileId: fileDocument._id })
+    .sort({ version: -1 })
+    .toArray();
+  return [currentVersion(fileDocument)].concat(previous);
+};
+
+/**
+ * Retrieves a version of a file document.
+ * @param {Object} fileDocument - File document from DB.
+ * @param {Number} version - Number of the version.
+ * @returns {Promise<Object | null>}
+ */
+export const findVersion = async (fileDocument, version) => {
+  if (version === (fileDocument.version || 1)) return currentVersion(fileDocument);
+  return DBClient.db
+    .collection('versions')
+    .findOne({ fileId: fileDocument._id, version });
+};
+
+/**
+ * Removes the oldest versions of a file over maxVersions: their blobs are released (a blob
+ * and its thumbnails are removed from the storage when nothing references it anymore).
+ * @param {ObjectId} fileId - ID of the file.
+ * @returns {Promise<Number>} The number of versions removed.
+ */
+export const pruneVersions = async (fileId) => {
+  const versions = DBClient.db.collection('versions');
+  const pruned = await versions
+    .find({ fileId })
+    .sort({ version: -1 })
+    .skip(maxVersions())
+    .toArray();
+
+  await Promise.all(pruned.map(releaseBlob));
+  await versions.deleteMany({ _id: { $in: pruned.map((version) => version._id) } });
+  return pruned.length;
+};
+
+/**
+ * Replaces the content of a file document by a new version:
+ * - The current content is kept as a previous version in the collection versions (its blob
+ * reference moves to the version)
+ * - The file document gets the new content attributes, the next version number, uploadedBy,
+ * versionCreatedAt and updatedAt
+ * - The thumbnails of the new content are generated by the worker (the ones already ready for
+ * a restored content are kept), followed by the job recorded as jobId
+ * - The versions over maxVersions are pruned
+ * - The file document is only updated if its version is still the one read: otherwise,
+ * another version was added meanwhile - the blob reference of the new content is released
+ * and it fails with an error Version conflict with a status code 409
+ * @param {Object} fileDocument - File document from DB.
+ * @param {Object} content - Content attributes of the new version (the blob reference is
+ * taken by the file document).
+ * @param {Object} user - User uploading the version.
+ * @returns {Promise<Object>} The updated file document.
+ */
+export const addVersion = async (fileDocument, content, user) => {
+  const files = DBClient.db.collection('files');
+  const previous = currentVersion(fileDocument);
+
+  const now = new Date();
+  const newContent = {
+    ...contentOf(content),
+    thumbnails: thumbnailStatus({ ...content, type: fileDocument.type }) || undefined,
+    variants: variantStatus({ ...content, type: fileDocument.type }) || undefined,
+  };
+  const unset = { jobId: '' };
+  contentFields
+    .filter((field) => newContent[field] === undefined)
+    .forEach((field) => { unset[field] = ''; });
+  const update = {
+    $set: {
+      ...contentOf(newContent),
+      version: previous.version + 1,
+      uploadedBy: user._id,
+      versionCreatedAt: now,
+      updatedAt: now,
+    },
+    $unset: unset,
+  };
+  const { matchedCount } = await files.updateOne(
+    { _id: fileDocument._id, version: fileDocument.version || null },
+    update,
+  );
+  if (!matchedCount) {
+    if (content.hash) await releaseBlob(content);
+    throw new HttpError(409, 'Version conflict');
+  }
+  await DBClient.db
+    .collection('versions')
+    .insertOne({ ...previous, archivedAt: now });
+
+  const updated = await files.findOne({ _id: fileDocument._id });
+  await queueThumbnails(updated);
+  await pruneVersions(fileDocument._id);
+  return updated;
+};
+
+/**
+ * Deletes all the versions of files, releasing their blobs.
+ * @param {Array<ObjectId>} fileIds - IDs of the files.
+ * @returns {Promise<void>}
+ */
+export const deleteVersions = async (fileIds) => {
+  const versions = DBClient.db.collection('versions');
+  const documents = await versions
+    .find({ fileId: { $in: fileIds } })
+    .toArray();
+
+  await Promise.all(documents.map(releaseBlob));
+  await versions.deleteMany({ fileId: { $in: fileIds } });
+};
@@ -0,0 +1,116 @@
+import storage from './storage';
+import { contentKey } from './blobs';
+
+const archiver = require('archiver');
+
+/**
+ * The MIME types of the contents already compressed, stored in the archives without
+ * compressing them again.
+ */
+const compressedTypes = /^(image\/(png|jpeg|gif|webp|avif|heic|heif)|video\/|audio\/(mpeg|mp4|ogg|flac)|application\/(zip|gzip|x-bzip2|x-7z-compressed|vnd\.rar|pdf))/;
+
+/**
+ * A name usable as a path segment in an archive: without / and \, and not . or ..
+ * @param {String} name - Name of the file.
+ * @returns {String}
+ */
+const entryName = (name) => {
+  const safe = String(name).replace(/[/\\]/g, '_');
+  return ['', '.', '..'].includes(safe) ? '_' : safe;
+};
+
+/**
+ * Picks a name not used yet in a folder of the archive, by adding (1), (2)... before the
+ * extension.
+ * @param {String} name - Name of the file.
+ * @param {Set<String>} used - Names already used in the folder (the name picked is added).
+ * @returns {String}
+ */
+const uniqueName = (name, used) => {
+  const dot = name.lastIndexOf('.') > 0 ? name.lastIndexOf('.') : name.length;
+  let unique = name;
+  for (let index = 1; used.has(unique.toLowerCase()); index += 1) {
+    unique = `${name.slice(0, dot)} (${index})${name.slice(dot)}`;
+  }
+  used.add(unique.toLowerCase());
+  return unique;
+};
+
+/**
+ * Lists the entries of an archive for files and folders, with the hierarchy of the folders:
+ * - A folder is an entry <path>/ followed by the entries of its children
+ * - A file without content is skipped
+ * - With fullAccess false (a public file the user can't access otherwise), only the public
+ * children are added, and a folder which is not public is skipped with its subtree
+ * - Two files with the same name in a folder are renamed name (1), name (2)...
+ * @param {Array<Object>} roots - File documents to add at the root of the archive.
+ * @param {Array<Object>} descendants - Descendants of the roots (see findDescendants).
+ * @param {Function} fullAccess - Returns for a root if all its descendants are added.
+ * @returns {Array<Object>} List of { path, fileDocument }.
+ */
+export const zipEntries = (roots, descendants, fullAccess) => {
+  const entries = [];
+
+  const add = (file, prefix, used, full) => {
+    const path = `${prefix}${uniqueName(entryName(file.name), used)}`;
+    if (!['folder'].includes(file.type)) {
+      if (contentKey(file)) entries.push({ path, fileDocument: file });
+      return;
+    }
+
+    entries.push({ path: `${path}/`, fileDocument: file });
+    const childrenUsed = new Set();
+    descendants
+      .filter((child) => child.parentId.toString() === file._id.toString())
+      .filter((child) => full || child.isPublic)
+      .forEach((child) => add(child, `${path}/`, childrenUsed, full));
+  };
+
+  const used = new Set();
+  roots.forEach((root) => add(root, '', used, fullAccess(root)));
+  return entries;
+};
+
+/**
+ * Streams a ZIP archive built on the fly from the contents of the storage:
+ * - The entries are read one at a time from the storage driver, never all opened together
+ * - The contents already compressed (images, videos, archives...) are stored as they are,
+ * the others are deflated
+ * - If a content can't be read once the response started, the response is aborted
+ * @param {Response} res - Express response object.
+ * @param {String} name - Filename of the archive.
+ * @param {Array<Object>} entries - Entries from zipEntries.
+ * @returns {Response}
+ */
+export const sendZip = (res, name, entries) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+
+  res.status(200);
+  res.attachment(name);
+  res.setHeader('Content-Type', 'application/zip');
+
+  const appendNext = (index) => {
+    if (index >= entries.length) {
+      archive.finalize();
+      return;
+    }
+    const { path, fileDocument } = entries[index];
+    archive.once('entry', () => appendNext(index + 1));
+
+    const date = fileDocument.updatedAt || fileDocument._id.getTimestamp();
+    if (path.endsWith('/')) {
+      archive.append(null, { name: path, date });
+    } else {
+      archive.append(storage.stream(contentKey(fileDocument)), {
+        name: path,
+        date,
+        store: compressedTypes.test(fileDocument.mimeType || ''),
+      });
+    }
+  };
+
+  archive.on('error', () => res.destroy());
+  archive.pipe(res);
+  appendNext(0);
+  return res;
+};
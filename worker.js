@@ -1,39 +1,77 @@
 import DBClient from './utils/db';
+import { contentKey } from './utils/blobs';
+import storage from './utils/storage';
+import { purgeTrash, trashRetentionDays } from './utils/trash';
+import { backfillMetadata } from './utils/metadata';
+import { thumbnailSizes, hasThumbnails, renderThumbnail } from './utils/thumbnails';
+import { fileProcessors, localContent, storeText } from './utils/processors';
+import { getQueue } from './utils/queues';
 
-const Bull = require('bull');
 const { ObjectId } = require('mongodb');
-const imageThumbnail = require('image-thumbnail');
-const fs = require('fs');
 
-const fileQueue = new Bull('fileQueue');
+const fileQueue = getQueue('fileQueue');
+const trashQueue = getQueue('trashQueue');
+const metadataQueue = getQueue('metadataQueue');
 
 /**
- * By using the module Bull, create a queue fileQueue
+ * Generates a thumbnail of an image and stores it with the storage driver under the key of
+ * the original file by appending _<size name>.
+ * @param {String} key - Storage key of the file.
+ * @param {Buffer} image - Content of the file.
+ * @param {Object} size - Size from thumbnailSizes.
+ * @returns {Promise<Object>} The status of the thumbnail: { status: ready, mimeType }.
+ */
+const createImageThumbnail = async (key, image, size) => {
+  const { buffer, mimeType } = await renderThumbnail(image, size);
+  await storage.put(`${key}_${size.name}`, buffer);
+  return { status: 'ready', mimeType };
+};
+
+/**
+ * Runs a processor on a file and stores its output with the storage driver under the key of
+ * the original file by appending _<processor name>.
+ * @param {String} key - Storage key of the file.
+ * @param {String} filePath - Local file with the content (see localContent).
+ * @param {Object} fileDocument - File document from DB.
+ * @param {Object} processor - Processor from processors.
+ * @returns {Promise<Object>} The status of the output: { status: ready, mimeType }.
+ */
+const createVariant = async (key, filePath, fileDocument, processor) => {
+  const output = await processor.process(filePath, fileDocument);
+  await storage.put(`${key}_${processor.name}`, output.buffer);
+  if (output.text !== undefined) await storeText(key, output.text, fileDocument);
+  return { status: 'ready', mimeType: output.mimeType };
+};
+
+/**
+ * By using the module Bull, use the shared queue fileQueue (see getQueue)
  * Process this queue:
  * - If fileId is not present in the job, raise an error Missing fileId
  * - If userId is not present in the job, raise an error Missing userId
  * - If no document is found in DB based on the fileId and userId, raise an error File not found
- * - By using the module image-thumbnail, generate 3 thumbnails with width = 500, 250 and 100 -
- * store each result on the same location of the original file by appending _<width size>
- * Update the endpoint GET /files/:id/data to accept a query parameter size:
- * - size can be 500, 250 or 100
- * - Based on size, return the correct local file
+ * - For an image (see hasThumbnails), by using the module sharp, generate a thumbnail for each
+ * size of THUMBNAIL_SIZES (default: width = 500, 250 and 100) in the format THUMBNAIL_FORMAT -
+ * store each result with the storage driver under the key of the original file by appending
+ * _<size name>
+ * - Dispatched by MIME type, run the processors accepting the file (see processors): the
+ * preview of the first page of a PDF, the text of a PDF or a text document (also recorded in
+ * the collection texts for the search, see storeText), the poster frame of a video - store
+ * each output under the key of the original file by appending _<processor name>
+ * - The outputs are generated one at a time and awaited: the ones already ready are skipped,
+ * and the status of each one (ready, or pending/failed with the error) is recorded on the file
+ * document as thumbnails and variants - unless its content changed in the meantime
+ * - The progress of the job (GET /jobs/:id) is the percentage of the outputs generated
+ * - If an output failed, raise an error Processing failed: the job is retried with a backoff
+ * (THUMBNAIL_ATTEMPTS and THUMBNAIL_BACKOFF), and the status becomes failed after the last
+ * attempt
+ * Update the endpoint GET /files/:id/data to accept the query parameters size and variant:
+ * - size can be the name of a size of THUMBNAIL_SIZES (500, 250 or 100 by default), variant
+ * the name of a processor (preview, text or poster)
+ * - Based on size or variant, return the correct local file
+ * - If the output is still pending, return an error Thumbnail pending or Variant pending with a
+ * status code 404
  * - If the local file doesn’t exist, return an error Not found with a status code 404
- * @param {String} path - Location of the file.
- * @param {number} options - Thumbnail width.
- * @returns {Promise<void>}
  */
-const createImageThumbnail = async (path, options) => {
-  try {
-    const thumbnail = await imageThumbnail(path, options);
-    const pathNail = `${path}_${options.width}`;
-
-    await fs.writeFileSync(pathNail, thumbnail);
-  } catch (error) {
-    console.log(error);
-  }
-};
-
 fileQueue.process(async (job) => {
   const { fileId } = job.data;
   if (!fileId) throw Error('Missing fileId');
@@ -41,12 +79,95 @@ fileQueue.process(async (job) => {
   const { userId } = job.data;
   if (!userId) throw Error('Missing userId');
 
-  const fileDocument = await DBClient.db
-    .collection('files')
+  const files = DBClient.db.collection('files');
+  const fileDocument = await files
     .findOne({ _id: ObjectId(fileId), userId: ObjectId(userId) });
   if (!fileDocument) throw Error('File not found');
 
-  createImageThumbnail(fileDocument.localPath, { width: 500 });
-  createImageThumbnail(fileDocument.localPath, { width: 250 });
-  createImageThumbnail(fileDocument.localPath, { width: 100 });
+  const key = contentKey(fileDocument);
+  if (!key) return [];
+
+  const isReady = (statuses, name) => !!statuses && !!statuses[name] && statuses[name].status === 'ready';
+  let image = null;
+  const loadImage = () => {
+    if (!image) image = storage.get(key);
+    return image;
+  };
+  let local = null;
+  const loadLocal = () => {
+    if (!local) local = localContent(key);
+    return local;
+  };
+
+  const tasks = [];
+  if (hasThumbnails(fileDocument)) {
+    thumbnailSizes()
+      .filter(({ name }) => !isReady(fileDocument.thumbnails, name))
+      .forEach((size) => tasks.push({
+        field: 'thumbnails',
+        name: size.name,
+        run: async () => createImageThumbnail(key, await loadImage(), size),
+      }));
+  }
+  fileProcessors(fileDocument)
+    .filter(({ name }) => !isReady(fileDocument.variants, name))
+    .forEach((processor) => tasks.push({
+      field: 'variants',
+      name: processor.name,
+      run: async () => {
+        const { path } = await loadLocal();
+        return createVariant(key, path, fileDocument, processor);
+      },
+    }));
+  if (!tasks.length) return [];
+
+  const lastAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+  const failure = (error) => ({ status: lastAttempt ? 'failed' : 'pending', error: error.message });
+
+  const statuses = await tasks.reduce((previous, task) => previous.then(async (list) => {
+    const status = await task.run().catch(failure);
+    await job.progress(Math.round(((list.length + 1) * 100) / tasks.length));
+    return list.concat({ field: task.field, name: task.name, status });
+  }), Promise.resolve([]));
+  if (local) await local.then(({ cleanup }) => cleanup(), () => {});
+
+  const fields = {};
+  statuses.forEach(({ field, name, status }) => { fields[`${field}.${name}`] = status; });
+  const sameContent = fileDocument.hash ? { hash: fileDocument.hash } : {};
+  await files.updateOne({ _id: fileDocument._id, ...sameContent }, { $set: fields });
+
+  const failed = statuses.filter(({ status }) => status.status !== 'ready');
+  if (failed.length) {
+    throw Error(`Processing failed: ${failed.map(({ name, status }) => `${name} (${status.error})`).join(', ')}`);
+  }
+  return statuses;
+});
+
+/**
+ * Every hour, the queue trashQueue deletes permanently the files in the trash for more
+ * than TRASH_RETENTION_DAYS days (default: 30). The job is repeatable, so restarting the
+ * worker doesn't schedule it twice.
+ */
+trashQueue.add({}, { jobId: 'purgeTrash', repeat: { every: 3600 * 1000 } });
+
+trashQueue.process(async () => purgeTrash(trashRetentionDays()));
+
+/**
+ * The queue metadataQueue records the metadata (size, checksum, mimeType, createdAt and
+ * updatedAt) of the files uploaded before they were recorded. The job has a fixed ID, so
+ * the backfill runs once, not at every restart of the worker - it is retried with a backoff
+ * until the connection to MongoDB is ready, and a backfill which failed every attempt is
+ * retried at the next restart.
+ */
+metadataQueue
+  .add({}, { jobId: 'backfillMetadata', attempts: 10, backoff: { type: 'exponential', delay: 1000 } })
+  .then(async (job) => {
+    if (await job.isFailed()) await job.retry();
+  })
+  .catch((error) => console.log('Metadata backfill not scheduled:', error.message));
+
+metadataQueue.process(async () => {
+  if (!DBClient.db) throw Error('Database not connected');
+  const count = await backfillMetadata();
+  console.log(`Metadata recorded for ${count} files`);
 });